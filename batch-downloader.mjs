@@ -0,0 +1,866 @@
+import {
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import {
+  BandwidthLimiter,
+  CredentialManager,
+  FileIntegrityChecker,
+  FormatUtils,
+  JobQueue,
+  Logger,
+  RetryPolicy,
+  S3MultiThreadDownloader,
+  SilentRenderer,
+} from "./s3-downloader.mjs";
+import { ConfigLoader } from "./config.mjs";
+import { MetricsExporter } from "./metrics.mjs";
+
+/**
+ * 同步索引 - 记录本地镜像中每个对象同步时的大小、LastModified 与 ETag
+ */
+export class SyncIndex {
+  static VERSION = 1;
+  static FILE_NAME = ".s3dl-sync.json";
+
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  /**
+   * 读取目录中的索引，不存在、无法解析或属于其他存储桶时返回空索引
+   */
+  static load(dir, bucketName) {
+    const filePath = path.join(dir, SyncIndex.FILE_NAME);
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (
+        data.version === SyncIndex.VERSION &&
+        data.bucketName === bucketName &&
+        data.objects
+      ) {
+        return new SyncIndex(filePath, data);
+      }
+    } catch {
+      // 没有索引时视为首次同步
+    }
+    return new SyncIndex(filePath, {
+      version: SyncIndex.VERSION,
+      bucketName,
+      objects: {},
+    });
+  }
+
+  /**
+   * 根据列举结果生成索引项，localPath 相对于同步目录
+   */
+  static entryFor(object, localPath, dir) {
+    return {
+      size: object.Size,
+      etag: object.ETag,
+      lastModified: new Date(object.LastModified).toISOString(),
+      localPath: path.relative(dir, localPath),
+    };
+  }
+
+  get(key) {
+    return this.data.objects[key] || null;
+  }
+
+  set(key, entry) {
+    this.data.objects[key] = { ...entry, syncedAt: new Date().toISOString() };
+  }
+
+  delete(key) {
+    delete this.data.objects[key];
+  }
+
+  /**
+   * 列出某个前缀下的索引项
+   */
+  keys(prefix = "") {
+    return Object.keys(this.data.objects).filter((key) =>
+      key.startsWith(prefix)
+    );
+  }
+
+  /**
+   * 原子写入索引（先写临时文件再重命名）
+   */
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+/**
+ * 日期模板 - 把 {yyyy}/{MM}/{yyyy}-{MM}-{dd} 之类的 key 模板按日期范围展开
+ */
+export class DateTemplate {
+  static TOKENS = {
+    yyyy: (date) => String(date.getUTCFullYear()),
+    yy: (date) => String(date.getUTCFullYear()).slice(-2),
+    MM: (date) => String(date.getUTCMonth() + 1).padStart(2, "0"),
+    M: (date) => String(date.getUTCMonth() + 1),
+    dd: (date) => String(date.getUTCDate()).padStart(2, "0"),
+    d: (date) => String(date.getUTCDate()),
+  };
+
+  static TOKEN_PATTERN = /\{(yyyy|yy|MM|M|dd|d)\}/g;
+
+  /**
+   * 判断 key 中是否包含日期占位符
+   */
+  static isTemplate(pattern) {
+    return new RegExp(DateTemplate.TOKEN_PATTERN.source).test(pattern);
+  }
+
+  /**
+   * 解析 YYYY-MM-DD（也接受 YYYYMMDD），返回 UTC 零点的 Date
+   */
+  static parseDate(value) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(value).trim());
+    const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    // 月、日超出范围时 Date.UTC 会进位（如 2024-13-01 → 2025-01-01），两者都要核对
+    if (
+      !date ||
+      date.getUTCMonth() + 1 !== Number(match[2]) ||
+      date.getUTCDate() !== Number(match[3])
+    ) {
+      throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+    }
+    return date;
+  }
+
+  /**
+   * 把 Date 格式化为 YYYY-MM-DD
+   */
+  static toISODate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * 用日期替换模板中的占位符
+   */
+  static format(template, date) {
+    return template.replace(DateTemplate.TOKEN_PATTERN, (_, token) =>
+      DateTemplate.TOKENS[token](date)
+    );
+  }
+
+  /**
+   * 按日期范围（含首尾）展开模板
+   * @param options.skipWeekends 跳过周六、周日
+   * @param options.holidays 需要跳过的日期（YYYY-MM-DD）
+   * @returns {{ keys: {date, key}[], skipped: string[] }}
+   */
+  static expand(
+    template,
+    { from, to = from, skipWeekends = false, holidays = [] }
+  ) {
+    const start = DateTemplate.parseDate(from);
+    const end = DateTemplate.parseDate(to);
+    if (end < start) {
+      throw new Error(`--to ${to} is before --from ${from}`);
+    }
+
+    const holidaySet = new Set(
+      holidays.map((day) => DateTemplate.toISODate(DateTemplate.parseDate(day)))
+    );
+    const keys = [];
+    const skipped = [];
+    const seen = new Set();
+
+    for (
+      let date = start;
+      date <= end;
+      date = new Date(date.getTime() + 86400000)
+    ) {
+      const day = DateTemplate.toISODate(date);
+      const weekday = date.getUTCDay();
+      if (
+        (skipWeekends && (weekday === 0 || weekday === 6)) ||
+        holidaySet.has(day)
+      ) {
+        skipped.push(day);
+      } else {
+        // 不含 {dd} 的模板（如按月分区）每个 key 只保留第一天
+        const key = DateTemplate.format(template, date);
+        if (!seen.has(key)) {
+          seen.add(key);
+          keys.push({ date: day, key });
+        }
+      }
+    }
+
+    return { keys, skipped };
+  }
+}
+
+/**
+ * 批量下载类 - 按前缀或 glob 下载多个对象
+ */
+export class S3BatchDownloader {
+  /**
+   * @param config 配置对象或 profile 名称，与 S3MultiThreadDownloader 相同
+   */
+  constructor(config = {}) {
+    config = ConfigLoader.resolve(config);
+    this.config = config;
+    this.bucketName = config.bucketName || "";
+    this.downloadDir = config.downloadDir || path.join(process.cwd(), "files");
+    this.fileConcurrency = config.fileConcurrency || 3;
+    this.preservePaths = config.preservePaths || false;
+
+    // 所有文件共用一份凭证，刷新一次即对整个批次生效
+    this.credentials =
+      config.s3Client && !(config.credentials instanceof CredentialManager)
+        ? null
+        : CredentialManager.from(config.credentials, {
+            region: config.region || "ap-east-1",
+          });
+
+    this.s3Client =
+      config.s3Client ||
+      new S3Client({
+        region: config.region || "ap-east-1",
+        credentials: this.credentials.provider,
+        endpoint: config.endpoint || "",
+        forcePathStyle: true,
+      });
+
+    // 所有文件共用一个带宽限制，限速作用于整个批次
+    this.bandwidth =
+      config.bandwidth instanceof BandwidthLimiter
+        ? config.bandwidth
+        : new BandwidthLimiter(config.bandwidth);
+
+    // 所有文件共用一个指标端点，计数在整个批次中累计
+    this.metrics = MetricsExporter.from(config.metrics);
+
+    if (!fs.existsSync(this.downloadDir)) {
+      fs.mkdirSync(this.downloadDir, { recursive: true });
+    }
+
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")
+      .slice(0, 19);
+
+    // 所有文件共用一个日志文件
+    this.logFileName = path.resolve(
+      config.logDir || this.downloadDir,
+      config.logFileName || `batch_log_${timestamp}.txt`
+    );
+    this.logger = Logger.fromConfig(this.logFileName, config);
+    // 静默进度（"silent" 或 SilentRenderer 实例）时批次自身的日志也不输出到控制台
+    if (
+      config.progress === "silent" ||
+      config.progress instanceof SilentRenderer
+    ) {
+      this.logger.setConsole(Logger.SILENT);
+    }
+  }
+
+  /**
+   * 判断是否为 glob 模式
+   */
+  static isGlob(pattern) {
+    return /[*?[]/.test(pattern);
+  }
+
+  /**
+   * 将 glob 转换为正则表达式（支持 **、*、? 和 [...]）
+   */
+  static globToRegExp(pattern) {
+    let regex = "";
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === "*") {
+        if (pattern[i + 1] === "*") {
+          regex += ".*";
+          i++;
+        } else {
+          regex += "[^/]*";
+        }
+      } else if (char === "?") {
+        regex += "[^/]";
+      } else if (char === "[") {
+        const close = pattern.indexOf("]", i + 1);
+        if (close === -1) {
+          regex += "\\[";
+        } else {
+          regex += pattern.slice(i, close + 1).replace(/^\[!/, "[^");
+          i = close;
+        }
+      } else {
+        regex += char.replace(/[.+^${}()|\\]/g, "\\$&");
+      }
+    }
+    return new RegExp(`^${regex}$`);
+  }
+
+  /**
+   * 列出前缀下的所有对象
+   */
+  async listObjects(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.s3Client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucketName,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        })
+      );
+      objects.push(...(response.Contents || []));
+      continuationToken = response.IsTruncated
+        ? response.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * 去掉模式开头的存储桶名
+   */
+  stripBucket(pattern) {
+    if (this.bucketName && pattern.startsWith(this.bucketName + "/")) {
+      return pattern.slice(this.bucketName.length + 1);
+    }
+    return pattern;
+  }
+
+  /**
+   * 模式中第一个通配符之前的目录部分，如 a/2025/*.gz → a/2025/
+   */
+  static basePrefix(pattern) {
+    const wildcard = pattern.search(/[*?[]/);
+    const end = wildcard === -1 ? pattern.length : wildcard;
+    return pattern.slice(0, pattern.lastIndexOf("/", end - 1) + 1);
+  }
+
+  /**
+   * 创建判断 key 是否属于前缀或 glob 的函数（不含存储桶名）
+   */
+  static createMatcher(pattern) {
+    if (!S3BatchDownloader.isGlob(pattern)) {
+      return (key) => key.startsWith(pattern) && !key.endsWith("/");
+    }
+    const regex = S3BatchDownloader.globToRegExp(pattern);
+    return (key) => regex.test(key);
+  }
+
+  /**
+   * 按前缀或 glob 查找需要下载的对象
+   */
+  async resolveObjects(pattern) {
+    pattern = this.stripBucket(pattern);
+    // glob 使用第一个通配符之前的部分作为列举前缀
+    const prefix = S3BatchDownloader.isGlob(pattern)
+      ? pattern.slice(0, pattern.search(/[*?[]/))
+      : pattern;
+    const matches = S3BatchDownloader.createMatcher(pattern);
+    const objects = await this.listObjects(prefix);
+    return objects.filter((object) => matches(object.Key));
+  }
+
+  /**
+   * 按前缀或 glob 批量下载
+   */
+  async download(pattern) {
+    this.logger.info(`🔍 Listing objects matching: ${pattern}`);
+    const objects = await this.resolveObjects(pattern);
+
+    if (objects.length === 0) {
+      this.logger.info(`No objects matched ${pattern}`);
+      return this._summarize([], 0);
+    }
+
+    const totalSize = objects.reduce((sum, object) => sum + object.Size, 0);
+    this.logger.info(
+      `📦 Matched ${objects.length} objects (${FormatUtils.formatFileSize(
+        totalSize
+      )})`
+    );
+
+    return await this.downloadKeys(objects.map((object) => object.Key));
+  }
+
+  /**
+   * 按日期范围展开 key 模板并批量下载，如 quotes_v1/{yyyy}/{MM}/{yyyy}-{MM}-{dd}.csv.gz
+   * @param options.from 起始日期 YYYY-MM-DD
+   * @param options.to 结束日期（含），默认与 from 相同
+   * @param options.skipWeekends 跳过周末
+   * @param options.holidays 跳过的日期列表
+   * @param options.skipMissing 先 HeadObject，跳过不存在 (404) 的 key
+   */
+  async downloadDateRange(
+    template,
+    {
+      from,
+      to = from,
+      skipWeekends = false,
+      holidays = [],
+      skipMissing = false,
+    } = {}
+  ) {
+    const startTime = Date.now();
+    const { keys, skipped } = DateTemplate.expand(this.stripBucket(template), {
+      from,
+      to,
+      skipWeekends,
+      holidays,
+    });
+
+    this.logger.info(
+      `📅 ${from} → ${to}: ${keys.length} keys` +
+        (skipped.length > 0
+          ? `, ${skipped.length} weekend/holiday dates skipped`
+          : "")
+    );
+
+    let missing = [];
+    if (skipMissing && keys.length > 0) {
+      this.logger.info(`🔍 Checking which keys exist...`);
+      missing = await this.findMissingKeys(keys.map(({ key }) => key));
+      missing.forEach((key) => this.logger.info(`  ⏭️  Not found: ${key}`));
+    }
+
+    const toDownload = keys
+      .map(({ key }) => key)
+      .filter((key) => !missing.includes(key));
+    const results =
+      toDownload.length > 0
+        ? await this._downloadAll(toDownload.map((key) => ({ key })))
+        : [];
+
+    this.logger.info(
+      `\n📅 Date range: ${keys.length + skipped.length} dates, ${
+        skipped.length
+      } skipped (weekend/holiday), ${missing.length} not found`
+    );
+    return {
+      ...this._summarize(results, (Date.now() - startTime) / 1000),
+      skippedDates: skipped,
+      missing,
+    };
+  }
+
+  /**
+   * 用 HeadObject 检查 key 是否存在，返回 404 的 key（其他错误留给下载阶段处理）
+   */
+  async findMissingKeys(keys) {
+    const queue = new JobQueue(Math.max(this.fileConcurrency, 8));
+    const missing = await Promise.all(
+      keys.map((key) =>
+        queue.add(async () => {
+          try {
+            await this.s3Client.send(
+              new HeadObjectCommand({ Bucket: this.bucketName, Key: key })
+            );
+            return null;
+          } catch (error) {
+            const { reason } = RetryPolicy.classify(error);
+            if (reason === "object not found") return key;
+            this.logger.debug(`HeadObject ${key} failed: ${error.message}`);
+            return null;
+          }
+        })
+      )
+    );
+    return missing.filter(Boolean);
+  }
+
+  /**
+   * 下载指定的对象键列表
+   */
+  async downloadKeys(keys) {
+    const startTime = Date.now();
+    const results = await this._downloadAll(keys.map((key) => ({ key })));
+    return this._summarize(results, (Date.now() - startTime) / 1000);
+  }
+
+  /**
+   * 按文件并发数下载，onSuccess 在每个文件成功后调用
+   * @param items [{ key, downloadDir, force, preservePath }]，downloadDir 可选，force 时忽略 ifModifiedSince / skipUnchanged，
+   *   preservePath 时按 key 的目录结构保存
+   */
+  async _downloadAll(items, onSuccess = null) {
+    const queue = new JobQueue(this.fileConcurrency);
+    let finished = 0;
+    items = this._separateCollisions(items);
+
+    this.logger.info(
+      `🧵 File concurrency: ${this.fileConcurrency}, range concurrency: ${
+        this.config.concurrency || 10
+      }\n`
+    );
+
+    return await Promise.all(
+      items.map(({ key, downloadDir, force, preservePath }) =>
+        queue.add(async () => {
+          this.logger.info(`🚀 Starting: ${key}`);
+
+          try {
+            const downloader = this._createDownloader(key, downloadDir, {
+              force,
+              preservePath,
+            });
+            const result = await downloader.start();
+            finished++;
+            onSuccess?.(key, result);
+            this.logger.info(
+              result.skipped
+                ? `⏭️  [${finished}/${items.length}] ${key} (not modified)`
+                : `✅ [${finished}/${items.length}] ${key} ` +
+                    `(${FormatUtils.formatFileSize(result.fileSize)} in ` +
+                    `${FormatUtils.formatDuration(result.totalTime)})`
+            );
+            return { key, success: true, ...result };
+          } catch (error) {
+            finished++;
+            this.logger.error(
+              `❌ [${finished}/${items.length}] ${key}: ${error.message}`
+            );
+            return { key, success: false, error };
+          }
+        })
+      )
+    );
+  }
+
+  /**
+   * 把前缀或 glob 匹配的对象增量同步到下载目录（相对基础前缀保留目录结构）
+   * @param options.deleteRemoved 删除远端已不存在的本地文件（仅限索引中记录的文件）
+   * @param options.dryRun 只输出计划，不下载、不删除、不写索引
+   */
+  async sync(pattern, { deleteRemoved = false, dryRun = false } = {}) {
+    const startTime = Date.now();
+    const index = SyncIndex.load(this.downloadDir, this.bucketName);
+
+    this.logger.info(`🔍 Listing objects matching: ${pattern}`);
+    const objects = await this.resolveObjects(pattern);
+    const plan = await this.planSync(objects, this.stripBucket(pattern), index);
+    const downloadBytes = plan.download.reduce(
+      (sum, item) => sum + item.object.Size,
+      0
+    );
+
+    this.logger.info(
+      `📋 Sync plan: ${plan.download.length} to download (${FormatUtils.formatFileSize(
+        downloadBytes
+      )}), ${plan.unchanged.length} unchanged, ${
+        plan.removed.length
+      } removed remotely`
+    );
+    plan.download.forEach(({ object, reason }) =>
+      this.logger.info(
+        `  ${reason === "new" ? "➕" : "🔁"} ${object.Key} (${reason}, ${FormatUtils.formatFileSize(
+          object.Size
+        )})`
+      )
+    );
+    plan.removed.forEach(({ key }) =>
+      this.logger.info(
+        `  🗑️  ${key} (${
+          deleteRemoved ? "delete" : "removed remotely, kept without --delete"
+        })`
+      )
+    );
+
+    if (dryRun) {
+      this.logger.info(`\n📝 Dry run: nothing was downloaded or deleted`);
+      this.logger.close();
+      return {
+        success: true,
+        dryRun: true,
+        download: plan.download.map(({ object, reason }) => ({
+          key: object.Key,
+          size: object.Size,
+          reason,
+        })),
+        unchanged: plan.unchanged.length,
+        removed: plan.removed.map(({ key }) => key),
+        totalBytes: downloadBytes,
+      };
+    }
+
+    // 每个文件完成后立即写索引，中断后重新运行只处理剩余的对象
+    const results = await this._downloadAll(
+      plan.download.map(({ object, localPath }) => ({
+        key: object.Key,
+        downloadDir: path.dirname(localPath),
+        // 是否需要下载已由索引决定
+        force: true,
+      })),
+      (key) => {
+        const { object, localPath } = plan.download.find(
+          (item) => item.object.Key === key
+        );
+        index.set(key, SyncIndex.entryFor(object, localPath, this.downloadDir));
+        index.save();
+      }
+    );
+
+    let deleted = 0;
+    if (deleteRemoved) {
+      for (const { key, localPath } of plan.removed) {
+        if (fs.existsSync(localPath)) fs.unlinkSync(localPath);
+        index.delete(key);
+        deleted++;
+        this.logger.info(
+          `🗑️  Deleted ${path.relative(this.downloadDir, localPath)}`
+        );
+      }
+    }
+    index.save();
+
+    this.logger.info(
+      `\n🔄 Sync: ${plan.unchanged.length} unchanged, ${deleted} deleted`
+    );
+    return {
+      ...this._summarize(results, (Date.now() - startTime) / 1000),
+      unchanged: plan.unchanged.length,
+      deleted,
+    };
+  }
+
+  /**
+   * 对比远端对象与同步索引、本地文件，得出需要下载、未变化和远端已删除的对象
+   * @param objects resolveObjects(pattern) 列出的对象
+   * @param pattern 不含存储桶名的前缀或 glob，只有匹配它的索引记录才可能被判为远端已删除
+   */
+  async planSync(objects, pattern, index) {
+    const base = S3BatchDownloader.basePrefix(pattern);
+    const matches = S3BatchDownloader.createMatcher(pattern);
+    const plan = { download: [], unchanged: [], removed: [] };
+    const listed = new Set();
+
+    for (const object of objects) {
+      listed.add(object.Key);
+      const localPath = this._resolveInDownloadDir(
+        object.Key.slice(base.length)
+      );
+      if (!localPath) {
+        this.logger.warn(
+          `⚠️  Skipping ${object.Key}: its path leads outside ${this.downloadDir}`
+        );
+        continue;
+      }
+      const reason = await this.getChangeReason(object, localPath, index);
+      if (reason) {
+        plan.download.push({ object, localPath, reason });
+      } else {
+        plan.unchanged.push({ object, localPath });
+        // 首次同步时核对通过的已有文件补记到索引
+        if (!index.get(object.Key)) {
+          index.set(
+            object.Key,
+            SyncIndex.entryFor(object, localPath, this.downloadDir)
+          );
+        }
+      }
+    }
+
+    for (const key of index.keys(base)) {
+      if (listed.has(key) || !matches(key)) continue;
+      const localPath = this._resolveInDownloadDir(index.get(key).localPath);
+      if (localPath) {
+        plan.removed.push({ key, localPath });
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * 判断对象是否需要下载，返回原因（new / size / etag / lastModified / missing locally），不需要时返回 null
+   */
+  async getChangeReason(object, localPath, index) {
+    const entry = index.get(object.Key);
+    const localSize = fs.existsSync(localPath)
+      ? fs.statSync(localPath).size
+      : -1;
+
+    if (entry) {
+      if (localSize !== entry.size) return "missing locally";
+      if (entry.size !== object.Size) return "size";
+      if (entry.etag !== object.ETag) return "etag";
+      if (entry.lastModified !== new Date(object.LastModified).toISOString()) {
+        return "lastModified";
+      }
+      return null;
+    }
+
+    // 没有索引记录：大小一致且 ETag 为 MD5 时对比本地文件的 MD5
+    if (localSize !== object.Size) return "new";
+    const parsed = FileIntegrityChecker.parseETag(object.ETag);
+    if (!parsed || parsed.parts > 0) return "new";
+    const md5 = crypto.createHash("md5");
+    for await (const chunk of fs.createReadStream(localPath)) {
+      md5.update(chunk);
+    }
+    return md5.digest("hex") === parsed.md5 ? null : "new";
+  }
+
+  /**
+   * 不保留目录结构时，文件名相同的 key（如 a/data.bin 和 b/data.bin）会写到同一个文件，
+   * 这些 key 改为按完整路径保存到下载目录下
+   */
+  _separateCollisions(items) {
+    if (this.preservePaths) return items;
+
+    const byName = new Map();
+    for (const item of items) {
+      if (item.downloadDir) continue;
+      const name = item.key.split("/").pop();
+      byName.set(name, [...(byName.get(name) || []), item.key]);
+    }
+    const colliding = new Set(
+      [...byName.values()].filter((keys) => keys.length > 1).flat()
+    );
+    if (colliding.size === 0) return items;
+
+    this.logger.warn(
+      `⚠️  ${colliding.size} keys share a file name, saving them with their paths:`
+    );
+    colliding.forEach((key) => this.logger.warn(`  📁 ${key}`));
+    return items.map((item) =>
+      colliding.has(item.key) ? { ...item, preservePath: true } : item
+    );
+  }
+
+  /**
+   * 保留目录结构时对象所在的本地目录，key 指向下载目录之外时抛出错误
+   */
+  _preservedDir(key) {
+    const localPath = this._resolveInDownloadDir(key);
+    if (!localPath) {
+      throw new Error(
+        `Key ${key} leads outside ${this.downloadDir}, refusing to download it`
+      );
+    }
+    return path.dirname(localPath);
+  }
+
+  /**
+   * 把相对路径（key 或其中一段）解析为下载目录中的文件路径，
+   * 含 .. 而指向目录之外或目录本身时返回 null
+   */
+  _resolveInDownloadDir(relativePath) {
+    const root = path.resolve(this.downloadDir);
+    const resolved = path.join(root, relativePath);
+    const relative = path.relative(root, resolved);
+    const inside =
+      relative !== "" &&
+      relative !== ".." &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative);
+    // a/.. 规范化后仍在目录内，但文件名 .. 会写到上一级目录
+    return inside && !relativePath.split("/").includes("..") ? resolved : null;
+  }
+
+  /**
+   * 为单个对象创建下载器
+   */
+  _createDownloader(
+    key,
+    downloadDir = null,
+    { force = false, preservePath = false } = {}
+  ) {
+    if (!downloadDir) {
+      downloadDir =
+        this.preservePaths || preservePath
+          ? this._preservedDir(key)
+          : this.downloadDir;
+    }
+
+    return new S3MultiThreadDownloader({
+      ...this.config,
+      objectKey: key,
+      // versionId 只对应单个对象
+      versionId: undefined,
+      ...(force && { ifModifiedSince: null, skipUnchanged: false }),
+      downloadDir,
+      s3Client: this.s3Client,
+      credentials: this.credentials ?? this.config.credentials,
+      bandwidth: this.bandwidth,
+      metrics: this.metrics,
+      logger: this.logger,
+      // 多个文件同时下载时单行进度会互相覆盖
+      showProgress: this.config.showProgress ?? this.fileConcurrency === 1,
+    });
+  }
+
+  /**
+   * 汇总批量下载结果
+   */
+  _summarize(results, totalTime) {
+    const succeeded = results.filter((result) => result.success);
+    const failed = results.filter((result) => !result.success);
+    const skipped = succeeded.filter((result) => result.skipped);
+    const totalBytes = succeeded.reduce(
+      (sum, result) => sum + (result.skipped ? 0 : result.fileSize),
+      0
+    );
+
+    this.logger.info(`\n📦 Batch Summary:`);
+    this.logger.info(`  ✅ Succeeded: ${succeeded.length}/${results.length}`);
+    if (skipped.length > 0) {
+      this.logger.info(`  ⏭️  Not modified: ${skipped.length}`);
+    }
+    if (failed.length > 0) {
+      this.logger.info(`  ❌ Failed: ${failed.length}`);
+      failed.forEach((result) =>
+        this.logger.info(`     - ${result.key}: ${result.error.message}`)
+      );
+    }
+    this.logger.info(
+      `  📊 Total size: ${FormatUtils.formatFileSize(totalBytes)}`
+    );
+    this.logger.info(
+      `  ⏱️  Total time: ${FormatUtils.formatDuration(totalTime, false)}`
+    );
+    if (this.logger.logFilePath) {
+      this.logger.info(`  📋 Log: ${this.logger.logFilePath}`);
+    }
+    this.logger.close();
+
+    return {
+      success: failed.length === 0,
+      total: results.length,
+      succeeded: succeeded.length,
+      skipped: skipped.length,
+      failed: failed.length,
+      totalBytes,
+      totalTime,
+      results,
+    };
+  }
+
+  /**
+   * 设置中断处理器
+   */
+  setupInterruptHandler(exitCode = 0) {
+    process.on("SIGINT", () => {
+      console.log("\n\n⚠️  Batch download interrupted by user");
+      this.logger.info(
+        "Batch download interrupted by user - partial downloads preserved"
+      );
+      console.log("🔄 Run the same command again to resume unfinished files.");
+      this.logger.close();
+      process.exit(exitCode);
+    });
+  }
+}
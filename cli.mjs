@@ -0,0 +1,1081 @@
+#!/usr/bin/env node
+import {
+  BandwidthLimiter,
+  Decompressor,
+  FileIntegrityChecker,
+  FormatUtils,
+  HttpSource,
+  Logger,
+  ResumeManifest,
+  S3MultiThreadDownloader,
+} from "./s3-downloader.mjs";
+import { DateTemplate, S3BatchDownloader } from "./batch-downloader.mjs";
+import { S3MultiThreadUploader } from "./s3-uploader.mjs";
+import { ConfigError, ConfigLoader } from "./config.mjs";
+import { DownloadHistory } from "./history.mjs";
+import { DownloadDaemon } from "./daemon.mjs";
+import { once } from "events";
+import { parseArgs } from "util";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+/**
+ * 退出码
+ */
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_INTERRUPTED = 130;
+
+const HELP_TEXT = `Usage: s3dl <s3://bucket/key | key | https://url> [options]
+       s3dl upload <file> <s3://bucket/key | s3://bucket/prefix/> [options]
+       s3dl uploads [s3://bucket/prefix | prefix] [options]
+       s3dl sync <s3://bucket/prefix/ | glob> [dir] [options]
+       s3dl history [filter] [--limit n] [--outcome name] [--json]
+       s3dl status [dir]
+       s3dl clean [dir] [--older-than days] [--dry-run]
+       s3dl daemon [--port n] [--max-jobs n] [--queue-file file] [options]
+
+Download an S3 object with multiple concurrent range requests.
+A target ending in "/" downloads every object under that prefix, and a
+target containing *, ** or ? downloads every matching object, e.g.
+  s3dl "s3://flatfiles/us_options_opra/quotes_v1/2025/06/*.csv.gz"
+A target containing {yyyy}, {yy}, {MM}, {M}, {dd} or {d} is expanded for every
+day from --from to --to, e.g.
+  s3dl "s3://flatfiles/us_options_opra/quotes_v1/{yyyy}/{MM}/{yyyy}-{MM}-{dd}.csv.gz" \\
+    --from 2025-04-01 --to 2025-06-30 --skip-weekends --skip-missing
+An http:// or https:// target (e.g. a presigned GetObject URL) is downloaded
+with plain HTTP range requests and needs no bucket or credentials; servers
+without range support are downloaded over a single connection.
+
+Options:
+  -b, --bucket <name>          Bucket name (when the target is a plain key)
+  -e, --endpoint <url>         S3 endpoint URL
+  -r, --region <region>        AWS region
+  -c, --concurrency <n>        Number of concurrent range requests (default: 10)
+      --adaptive               Start small and add connections while throughput
+                               improves; back off on SlowDown/503 or errors
+                               (--concurrency becomes the upper bound)
+      --min-concurrency <n>    Lower bound for --adaptive (default: 2)
+  -o, --out <dir>              Download directory (default: ./files)
+  -p, --profile <name>         Profile in the config file, or in ~/.aws/credentials
+                               and ~/.aws/config
+      --config <file>          Config file (.json, .yaml or .env); default:
+                               s3dl.config.{json,yaml,yml} in the current directory
+                               or ~/.config/s3dl/, or $S3DL_CONFIG
+      --access-key-id <id>     Access key id (overrides env and profile)
+      --secret-access-key <k>  Secret access key (overrides env and profile)
+      --role-arn <arn>         Assume this role (STS AssumeRole) with the resolved
+                               credentials; temporary credentials are refreshed
+                               before they expire
+      --role-session-name <n>  Session name for --role-arn (default: s3dl-<time>)
+      --external-id <id>       External id for --role-arn
+  -H, --header <name: value>   Extra request header for an https:// target,
+                               e.g. "Authorization: Bearer ..." (repeatable)
+      --log-file <name>        Log file name inside the download directory
+      --log-dir <dir>          Write the log file here instead of the download directory
+      --log-level <level>      debug, info, warn, error or silent (default: debug)
+      --log-format <format>    text or json (one JSON object per line) (default: text)
+      --log-max-size <size>    Rotate the log file when it exceeds this size, e.g. 10M
+      --log-max-files <n>      Rotated log files to keep (default: 5)
+      --metrics-port <port>    Serve Prometheus metrics on http://<host>:<port>/metrics
+                               while downloading
+      --metrics-host <host>    Address for the metrics endpoint (default: 127.0.0.1)
+      --progress <mode>        auto, bars, inline, plain, json or silent
+                               (default: auto = bars on a TTY, plain otherwise;
+                               silent also keeps the log off the console)
+      --direct                 Write ranges straight into a preallocated file
+                               (no .partN files and no merge phase)
+      --chunk-size <size>      Size of the chunks handed to threads (default: 16M)
+      --min-split-size <size>  Smallest piece an idle thread may split off a busy
+                               chunk (default: 1M)
+      --limit-rate <rate>      Total download rate limit, e.g. 10M (bytes per second)
+      --limit-rate-per-connection <rate>
+                               Rate limit for each range connection
+      --rate-schedule <spec>   Time-of-day global limits, e.g.
+                               "09:00-17:00=5M,22:00-06:00=0" (0 = unlimited)
+      --max-attempts <n>       Consecutive failed attempts per chunk before giving
+                               up (default: 5)
+      --retry-forever          Retry retryable errors without limit
+      --stdout                 Write the object to stdout in order instead of a file
+                               (nothing is written to disk except the log)
+      --stream-window <size>   Memory cap for --stdout reordering (default: 64M)
+  -z, --decompress             Decompress .gz, .zst or .bz2 objects while merging
+                               (the compressed bytes are still verified)
+      --compression <format>   Force gzip, zstd or bzip2 instead of detecting it
+                               from the extension (implies --decompress)
+      --keep-compressed        Keep the compressed file next to the output
+      --checksum <algo:value>  Expected hash of the object, e.g. sha256:<hex>
+      --skip-checksum          Only verify the size, skip ETag/checksum checks
+      --version-id <id>        Download this version of a versioned object
+      --if-modified-since <date>
+                               Skip the download unless the object changed after
+                               <date> (ISO date or time)
+      --skip-unchanged         Skip objects not modified since the local file's
+                               modification time (s3dl sets it to LastModified)
+  -j, --file-concurrency <n>   Files downloaded at once in batch mode (default: 3)
+      --preserve-paths         Keep the key's directories under --out in batch mode
+      --from <date>            First date (YYYY-MM-DD) for a {yyyy}/{MM}/{dd} template
+      --to <date>              Last date, inclusive (default: --from)
+      --skip-weekends          Skip Saturdays and Sundays in a date range
+      --holidays <dates|file>  Comma-separated dates, or a file with one date per
+                               line, to skip in a date range
+      --skip-missing           HeadObject each date's key first and skip 404s
+      --part-size <size>       Upload part size, at least 5M (default: 16M)
+      --abort-upload           Abort the unfinished multipart upload for <file>
+                               instead of uploading it
+      --upload-id <id>         upload: resume, or with --abort-upload abort, this
+                               unfinished upload (see "s3dl uploads")
+      --resume-latest          upload: without <file>.upload.json, resume the
+                               newest unfinished upload of the key, even one
+                               started by another client
+      --delete                 sync: delete local files whose objects were removed
+      --dry-run                sync / clean: only report what would be
+                               downloaded or deleted
+      --history-file <file>    Download history file (default:
+                               ~/.config/s3dl/history.jsonl, or $S3DL_HISTORY_FILE)
+      --limit <n>              history: number of entries to show (default: 20)
+      --outcome <name>         history: only success, skipped, failed, cancelled
+                               or interrupted downloads
+      --json                   history: print the raw JSON lines
+      --older-than <days>      clean: also delete resumable downloads not touched
+                               for this many days
+      --port <port>            daemon: REST API port (default: 8765)
+      --host <host>            daemon: REST API address (default: 127.0.0.1)
+      --max-jobs <n>           daemon: downloads running at once (default: 2)
+      --queue-file <file>      daemon: persistent job queue (default:
+                               ~/.config/s3dl/queue.json)
+      --token <token>          daemon: require "Authorization: Bearer <token>"
+                               (default: $S3DL_DAEMON_TOKEN, else a token
+                               generated in daemon.token next to the queue)
+  -h, --help                   Show this help
+
+Settings are layered: AWS_* variables and ~/.aws < config file "defaults" <
+config file profile (--profile, S3DL_PROFILE or the file's "profile") <
+S3DL_BUCKET / S3DL_ENDPOINT / S3DL_REGION / S3DL_CONCURRENCY / ... < flags.
+Credentials come from the flags above, then the profile's "credentials", then
+the ~/.aws profile named by --profile (static keys, role_arn/source_profile,
+credential_process or SSO), then AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY
+(/ AWS_SESSION_TOKEN), then the default AWS provider chain (AWS_PROFILE or
+"default", credential_process, SSO, web identity, ECS/EC2 instance roles).
+Expiring credentials are refreshed automatically, also after ExpiredToken.
+A .env file in the current directory is read as well.
+
+Retryable errors (throttling, 5xx, timeouts, connection resets) are retried
+with exponential backoff; access denied, missing objects and similar errors
+stop every chunk at once.
+
+Uploads use CreateMultipartUpload/UploadPart/CompleteMultipartUpload. Progress
+is kept in <file>.upload.json; running the same upload again resumes it.
+"s3dl uploads" lists the unfinished multipart uploads under a prefix.
+
+Sync mirrors a prefix into [dir] (default: --out or ./files) and only
+downloads new or changed objects (size, LastModified and ETag are compared with
+the .s3dl-sync.json index in that directory).
+
+Every download is appended to the history file with its key, ETag, size,
+duration, speed, retries and outcome; "s3dl history 2025-06-10" lists the
+downloads whose bucket/key contains 2025-06-10. "s3dl status" lists the
+resumable downloads (*.manifest.json) and abandoned .partN files under [dir]
+(default: --out or ./files), and "s3dl clean" deletes the abandoned files.
+Only files next to a <file>.manifest.json are ever deleted.
+
+Exit codes: 0 success, 1 download failed, 2 usage error, 130 interrupted.`;
+
+/**
+ * 用法错误
+ */
+class UsageError extends Error {}
+
+/**
+ * 解析命令行参数
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      bucket: { type: "string", short: "b" },
+      endpoint: { type: "string", short: "e" },
+      region: { type: "string", short: "r" },
+      concurrency: { type: "string", short: "c" },
+      adaptive: { type: "boolean" },
+      "min-concurrency": { type: "string" },
+      out: { type: "string", short: "o" },
+      profile: { type: "string", short: "p" },
+      config: { type: "string" },
+      "access-key-id": { type: "string" },
+      "secret-access-key": { type: "string" },
+      "role-arn": { type: "string" },
+      "role-session-name": { type: "string" },
+      "external-id": { type: "string" },
+      header: { type: "string", short: "H", multiple: true },
+      "log-file": { type: "string" },
+      "log-dir": { type: "string" },
+      "log-level": { type: "string" },
+      "log-format": { type: "string" },
+      "log-max-size": { type: "string" },
+      "log-max-files": { type: "string" },
+      "metrics-port": { type: "string" },
+      "metrics-host": { type: "string" },
+      progress: { type: "string" },
+      direct: { type: "boolean" },
+      "chunk-size": { type: "string" },
+      "min-split-size": { type: "string" },
+      "limit-rate": { type: "string" },
+      "limit-rate-per-connection": { type: "string" },
+      "rate-schedule": { type: "string" },
+      "max-attempts": { type: "string" },
+      "retry-forever": { type: "boolean" },
+      stdout: { type: "boolean" },
+      "stream-window": { type: "string" },
+      decompress: { type: "boolean", short: "z" },
+      compression: { type: "string" },
+      "keep-compressed": { type: "boolean" },
+      checksum: { type: "string" },
+      "skip-checksum": { type: "boolean" },
+      "version-id": { type: "string" },
+      "if-modified-since": { type: "string" },
+      "skip-unchanged": { type: "boolean" },
+      "file-concurrency": { type: "string", short: "j" },
+      "preserve-paths": { type: "boolean" },
+      from: { type: "string" },
+      to: { type: "string" },
+      "skip-weekends": { type: "boolean" },
+      holidays: { type: "string" },
+      "skip-missing": { type: "boolean" },
+      "part-size": { type: "string" },
+      "abort-upload": { type: "boolean" },
+      "upload-id": { type: "string" },
+      "resume-latest": { type: "boolean" },
+      delete: { type: "boolean" },
+      "dry-run": { type: "boolean" },
+      "history-file": { type: "string" },
+      limit: { type: "string" },
+      outcome: { type: "string" },
+      json: { type: "boolean" },
+      "older-than": { type: "string" },
+      port: { type: "string" },
+      host: { type: "string" },
+      "max-jobs": { type: "string" },
+      "queue-file": { type: "string" },
+      token: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  return { values, positionals };
+}
+
+/**
+ * 解析 s3://bucket/key 形式的目标
+ */
+function parseTarget(target, bucketFlag) {
+  if (HttpSource.isUrl(target)) {
+    return { url: target, objectKey: target };
+  }
+  if (target.startsWith("s3://")) {
+    const rest = target.slice("s3://".length);
+    const slash = rest.indexOf("/");
+    if (slash <= 0 || slash === rest.length - 1) {
+      throw new UsageError(
+        `Invalid S3 URI "${target}", expected s3://bucket/key`
+      );
+    }
+    return {
+      bucketName: rest.slice(0, slash),
+      objectKey: rest.slice(slash + 1),
+    };
+  }
+
+  // 未指定时使用配置文件 profile 或 S3DL_BUCKET 中的存储桶
+  return { bucketName: bucketFlag, objectKey: target };
+}
+
+/**
+ * 命令行中显式指定的凭证（优先于配置文件、环境变量和 ~/.aws）
+ */
+function parseCredentialFlags(values) {
+  if (!values["access-key-id"] && !values["secret-access-key"]) {
+    return undefined;
+  }
+  if (!values["access-key-id"] || !values["secret-access-key"]) {
+    throw new UsageError(
+      "--access-key-id and --secret-access-key must be given together"
+    );
+  }
+  return {
+    accessKeyId: values["access-key-id"],
+    secretAccessKey: values["secret-access-key"],
+  };
+}
+
+/**
+ * 解析 --header "Name: value" 参数
+ */
+function parseHeaders(values) {
+  if (!values) return undefined;
+  const headers = {};
+  for (const value of values) {
+    const colon = value.indexOf(":");
+    if (colon <= 0) {
+      throw new UsageError(
+        `Invalid --header "${value}", expected "Name: value"`
+      );
+    }
+    headers[value.slice(0, colon).trim()] = value.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * 解析 --if-modified-since 日期
+ */
+function parseDateArg(value, flag) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new UsageError(
+      `${flag} must be a date such as 2025-06-30 or 2025-06-30T12:00:00Z, got "${value}"`
+    );
+  }
+  return date;
+}
+
+/**
+ * 解析 --checksum，格式或算法不支持时作为用法错误
+ */
+function parseChecksumArg(value) {
+  try {
+    FileIntegrityChecker.parseExpectedHash(value);
+  } catch (error) {
+    throw new UsageError(`--checksum: ${error.message}`);
+  }
+  return value;
+}
+
+/**
+ * 解析正整数参数
+ */
+function parsePositiveInt(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+const PROGRESS_MODES = ["auto", "bars", "inline", "plain", "json", "silent"];
+
+/**
+ * 解析进度显示方式
+ */
+function parseProgressMode(value) {
+  if (value === undefined || PROGRESS_MODES.includes(value)) return value;
+  throw new UsageError(
+    `--progress must be one of ${PROGRESS_MODES.join(", ")}, got "${value}"`
+  );
+}
+
+/**
+ * 解析大小参数（如 16M、512K）
+ */
+function parseSizeArg(value, flag) {
+  if (value === undefined) return undefined;
+  let size;
+  try {
+    size = FormatUtils.parseSize(value);
+  } catch (error) {
+    throw new UsageError(`${flag}: ${error.message}`);
+  }
+  if (size < 1) {
+    throw new UsageError(`${flag} must be at least 1 byte, got "${value}"`);
+  }
+  return size;
+}
+
+/**
+ * 解析限速参数，schedule 格式为 "HH:MM-HH:MM=rate,..."
+ */
+function parseBandwidth(values) {
+  const bandwidth = {};
+  try {
+    if (values["limit-rate"] !== undefined) {
+      bandwidth.limit = BandwidthLimiter.parseRate(values["limit-rate"]);
+    }
+    if (values["limit-rate-per-connection"] !== undefined) {
+      bandwidth.perConnection = BandwidthLimiter.parseRate(
+        values["limit-rate-per-connection"]
+      );
+    }
+    if (values["rate-schedule"] !== undefined) {
+      bandwidth.schedule = values["rate-schedule"].split(",").map((entry) => {
+        const match = /^\s*([\d:]+)-([\d:]+)=(.+)$/.exec(entry);
+        if (!match) {
+          throw new Error(
+            `invalid window "${entry}", expected HH:MM-HH:MM=rate`
+          );
+        }
+        const [, from, to, limit] = match;
+        BandwidthLimiter.parseTime(from);
+        BandwidthLimiter.parseTime(to);
+        return { from, to, limit: BandwidthLimiter.parseRate(limit) };
+      });
+    }
+  } catch (error) {
+    throw new UsageError(`Invalid rate limit: ${error.message}`);
+  }
+  return bandwidth;
+}
+
+/**
+ * 解析日期范围参数，--holidays 可以是逗号分隔的日期或每行一个日期的文件
+ */
+function parseDateRange(values, objectKey) {
+  const isTemplate = DateTemplate.isTemplate(objectKey);
+  if (!isTemplate) {
+    if (values.from || values.to) {
+      throw new UsageError(
+        "--from/--to need a key template such as {yyyy}/{MM}/{yyyy}-{MM}-{dd}"
+      );
+    }
+    return undefined;
+  }
+  if (!values.from) {
+    throw new UsageError(
+      `--from is required for the key template "${objectKey}"`
+    );
+  }
+
+  let holidays = [];
+  if (values.holidays) {
+    const text = fs.existsSync(values.holidays)
+      ? fs.readFileSync(values.holidays, "utf8").replace(/#.*$/gm, "")
+      : values.holidays;
+    holidays = text.split(/[\s,]+/).filter(Boolean);
+  }
+
+  const dateRange = {
+    from: values.from,
+    to: values.to || values.from,
+    skipWeekends: values["skip-weekends"],
+    holidays,
+    skipMissing: values["skip-missing"],
+  };
+  try {
+    DateTemplate.expand(objectKey, dateRange);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return dateRange;
+}
+
+/**
+ * history / status / clean 命令的配置，不需要存储桶和凭证
+ */
+function buildLocalConfig(command, values, positionals) {
+  if (positionals.length > 1) {
+    throw new UsageError(
+      `Expected s3dl ${command} [${command === "history" ? "filter" : "dir"}]`
+    );
+  }
+  if (values.outcome && !DownloadHistory.OUTCOMES.includes(values.outcome)) {
+    throw new UsageError(
+      `--outcome must be one of ${DownloadHistory.OUTCOMES.join(", ")}, got "${values.outcome}"`
+    );
+  }
+
+  let config;
+  try {
+    config = ConfigLoader.load({
+      profile: values.profile,
+      configFile: values.config,
+      overrides: {
+        downloadDir: values.out && path.resolve(values.out),
+        historyFile: values["history-file"],
+      },
+      requireTarget: false,
+    });
+  } catch (error) {
+    if (error instanceof ConfigError) throw new UsageError(error.message);
+    throw error;
+  }
+
+  const dir = command === "history" ? undefined : positionals[0];
+  return {
+    ...config,
+    command,
+    downloadDir: dir
+      ? path.resolve(dir)
+      : config.downloadDir || path.resolve("files"),
+    filter: command === "history" ? positionals[0] : undefined,
+    limit: parsePositiveInt(values.limit, "--limit") ?? 20,
+    outcome: values.outcome,
+    json: values.json,
+    olderThan: parsePositiveInt(values["older-than"], "--older-than"),
+    dryRun: values["dry-run"],
+  };
+}
+
+/**
+ * 根据命令行参数构建下载器配置
+ */
+function buildConfig(values, positionals) {
+  // s3dl upload <file> <target> / s3dl uploads [prefix] / s3dl sync <target> [dir]
+  const command = [
+    "upload",
+    "uploads",
+    "sync",
+    "history",
+    "status",
+    "clean",
+    "daemon",
+  ].includes(positionals[0])
+    ? positionals.shift()
+    : "download";
+  if (["history", "status", "clean"].includes(command)) {
+    return buildLocalConfig(command, values, positionals);
+  }
+  if (command === "upload" && positionals.length !== 2) {
+    throw new UsageError("Expected s3dl upload <file> <s3://bucket/key>");
+  }
+  if (command === "uploads" && positionals.length > 1) {
+    throw new UsageError("Expected s3dl uploads [s3://bucket/prefix]");
+  }
+  if (
+    (values["upload-id"] || values["resume-latest"]) &&
+    command !== "upload"
+  ) {
+    throw new UsageError(
+      "--upload-id and --resume-latest are only used with s3dl upload"
+    );
+  }
+  if (command === "sync" && ![1, 2].includes(positionals.length)) {
+    throw new UsageError("Expected s3dl sync <s3://bucket/prefix/> [dir]");
+  }
+  if (command === "daemon" && positionals.length !== 0) {
+    throw new UsageError(
+      "Expected s3dl daemon [options], jobs are added through the REST API"
+    );
+  }
+  if (command === "download" && positionals.length !== 1) {
+    throw new UsageError(
+      positionals.length === 0
+        ? "Missing download target"
+        : `Expected exactly one download target, got ${positionals.length}`
+    );
+  }
+
+  const filePath =
+    command === "upload" ? path.resolve(positionals[0]) : undefined;
+  const syncDir = command === "sync" ? positionals[1] : undefined;
+  let { bucketName, objectKey, url } =
+    command === "daemon" || (command === "uploads" && !positionals[0])
+      ? { bucketName: values.bucket, objectKey: "" }
+      : parseTarget(
+          command === "upload" ? positionals[1] : positionals[0],
+          values.bucket
+        );
+  if (url && command !== "download") {
+    throw new UsageError(`${command} needs an S3 target, not a URL`);
+  }
+  if (values["version-id"] && (url || command !== "download")) {
+    throw new UsageError(
+      "--version-id needs a single s3:// object to download"
+    );
+  }
+  if (values.header && !url) {
+    throw new UsageError("--header is only used with an https:// target");
+  }
+  // 上传到以 "/" 结尾的前缀时使用本地文件名
+  if (filePath && objectKey.endsWith("/")) {
+    objectKey += path.basename(filePath);
+  }
+
+  // 命令行参数覆盖配置文件 profile 与环境变量
+  const overrides = {
+    bucketName,
+    url,
+    headers: parseHeaders(values.header),
+    region: values.region,
+    endpoint: values.endpoint,
+    credentials: parseCredentialFlags(values),
+    concurrency: parsePositiveInt(values.concurrency, "--concurrency"),
+    adaptiveConcurrency: values.adaptive && {
+      min: parsePositiveInt(values["min-concurrency"], "--min-concurrency"),
+    },
+    downloadDir: (syncDir || values.out) && path.resolve(syncDir || values.out),
+    logFileName: values["log-file"],
+    logDir: values["log-dir"] && path.resolve(values["log-dir"]),
+    logLevel: values["log-level"],
+    logFormat: values["log-format"],
+    logMaxSize: parseSizeArg(values["log-max-size"], "--log-max-size"),
+    logMaxFiles: parsePositiveInt(values["log-max-files"], "--log-max-files"),
+    progress: parseProgressMode(values.progress),
+    writeMode: values.direct ? "direct" : undefined,
+    chunkSize: parseSizeArg(values["chunk-size"], "--chunk-size"),
+    minSplitSize: parseSizeArg(values["min-split-size"], "--min-split-size"),
+    stdout: values.stdout,
+    streamWindow: parseSizeArg(values["stream-window"], "--stream-window"),
+    bandwidth: parseBandwidth(values),
+    metrics: (values["metrics-port"] || values["metrics-host"]) && {
+      port: parsePositiveInt(values["metrics-port"], "--metrics-port"),
+      host: values["metrics-host"],
+    },
+    retry: {
+      maxAttempts: parsePositiveInt(values["max-attempts"], "--max-attempts"),
+      infinite: values["retry-forever"],
+    },
+    decompress: (values.decompress || values.compression) && {
+      format: values.compression,
+      keepCompressed: values["keep-compressed"],
+    },
+    expectedHash: parseChecksumArg(values.checksum),
+    verifyChecksum: values["skip-checksum"] ? false : undefined,
+    versionId: values["version-id"],
+    ifModifiedSince: parseDateArg(
+      values["if-modified-since"],
+      "--if-modified-since"
+    ),
+    skipUnchanged: values["skip-unchanged"],
+    fileConcurrency: parsePositiveInt(
+      values["file-concurrency"],
+      "--file-concurrency"
+    ),
+    preservePaths: values["preserve-paths"],
+    partSize: parseSizeArg(values["part-size"], "--part-size"),
+    abortUpload: values["abort-upload"],
+    daemon:
+      command === "daemon"
+        ? {
+            port: parsePositiveInt(values.port, "--port"),
+            host: values.host,
+            maxJobs: parsePositiveInt(values["max-jobs"], "--max-jobs"),
+            queueFile:
+              values["queue-file"] && path.resolve(values["queue-file"]),
+            token: values.token,
+          }
+        : undefined,
+  };
+
+  let config;
+  try {
+    config = ConfigLoader.load({
+      profile: values.profile,
+      configFile: values.config,
+      overrides,
+      // 守护进程的任务各自指定存储桶
+      requireTarget: command !== "daemon",
+    });
+    // 用解析出的凭证扮演角色
+    if (values["role-arn"]) {
+      config = ConfigLoader.validate({
+        ...config,
+        credentials: {
+          roleArn: values["role-arn"],
+          roleSessionName: values["role-session-name"],
+          externalId: values["external-id"],
+          sourceCredentials: config.credentials,
+        },
+      });
+    }
+  } catch (error) {
+    if (error instanceof ConfigError) throw new UsageError(error.message);
+    throw error;
+  }
+
+  return {
+    ...config,
+    command,
+    filePath,
+    objectKey,
+    dateRange:
+      command === "download" && !url && parseDateRange(values, objectKey),
+    deleteRemoved: values.delete,
+    dryRun: values["dry-run"],
+    uploadId: values["upload-id"],
+    resumeLatest: values["resume-latest"],
+  };
+}
+
+async function main(argv) {
+  let config;
+  try {
+    const { values, positionals } = parseCliArgs(argv);
+    if (values.help) {
+      console.log(HELP_TEXT);
+      return EXIT_OK;
+    }
+    config = buildConfig(values, positionals);
+    // 库调用时需显式设置 historyFile，命令行默认记录下载历史
+    config.historyFile ??= DownloadHistory.DEFAULT_PATH;
+  } catch (error) {
+    console.error(`s3dl: ${error.message}`);
+    console.error(`Run "s3dl --help" for usage.`);
+    return EXIT_USAGE;
+  }
+
+  if (config.command === "upload") {
+    return await runUpload(config);
+  }
+  if (config.command === "uploads") {
+    return await runListUploads(config);
+  }
+  if (config.command === "sync") {
+    return await runSync(config);
+  }
+  if (config.command === "history") {
+    return runHistory(config);
+  }
+  if (config.command === "status") {
+    return runStatus(config);
+  }
+  if (config.command === "clean") {
+    return runClean(config);
+  }
+  if (config.command === "daemon") {
+    return await runDaemon(config);
+  }
+
+  // 以 "/" 结尾、包含通配符或日期占位符的目标使用批量模式
+  const { objectKey } = config;
+  const isBatch =
+    !config.url &&
+    (objectKey.endsWith("/") ||
+      S3BatchDownloader.isGlob(objectKey) ||
+      Boolean(config.dateRange));
+  if (isBatch && config.versionId) {
+    console.error("s3dl: --version-id needs a single object, not a batch");
+    return EXIT_USAGE;
+  }
+  if (config.stdout) {
+    if (isBatch) {
+      console.error(
+        "s3dl: --stdout needs a single object, not a prefix or glob"
+      );
+      return EXIT_USAGE;
+    }
+    return await runStream(config);
+  }
+  if (isBatch) {
+    return await runBatch(config);
+  }
+
+  const downloader = new S3MultiThreadDownloader(config);
+  downloader.setupInterruptHandler(EXIT_INTERRUPTED);
+
+  try {
+    await downloader.start();
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`s3dl: download failed: ${error.message}`);
+    return EXIT_FAILURE;
+  }
+}
+
+/**
+ * 按顺序把对象写到标准输出，如 s3dl ... --stdout | zcat | head
+ */
+async function runStream(config) {
+  const downloader = new S3MultiThreadDownloader({
+    ...config,
+    showProgress: false,
+  });
+  downloader.logger.setConsole(Logger.STDERR);
+
+  const stages = [downloader.createReadStream()];
+  const format =
+    config.decompress &&
+    (config.decompress.format || Decompressor.detect(config.objectKey));
+  if (format) {
+    stages.push(Decompressor.createStream(format));
+  }
+
+  try {
+    await pipeline(...stages, process.stdout);
+    return EXIT_OK;
+  } catch (error) {
+    // 下游提前关闭管道（如 head）属于正常结束
+    if (error.code === "EPIPE") return EXIT_OK;
+    console.error(`s3dl: stream failed: ${error.message}`);
+    return EXIT_FAILURE;
+  } finally {
+    downloader.logger.close();
+  }
+}
+
+/**
+ * 分片上传本地文件，或中止未完成的上传
+ */
+async function runUpload(config) {
+  let uploader;
+  try {
+    uploader = new S3MultiThreadUploader(config);
+  } catch (error) {
+    console.error(`s3dl: ${error.message}`);
+    return EXIT_USAGE;
+  }
+  uploader.setupInterruptHandler(EXIT_INTERRUPTED);
+
+  try {
+    if (config.abortUpload) {
+      await uploader.abortUpload(config.uploadId);
+    } else {
+      await uploader.start({
+        uploadId: config.uploadId,
+        resumeLatest: config.resumeLatest,
+      });
+    }
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`s3dl: upload failed: ${error.message}`);
+    return EXIT_FAILURE;
+  }
+}
+
+/**
+ * 列出前缀下未完成的分片上传
+ */
+async function runListUploads(config) {
+  let uploader;
+  try {
+    uploader = new S3MultiThreadUploader(config);
+  } catch (error) {
+    console.error(`s3dl: ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  const location = `s3://${config.bucketName}/${config.objectKey}`;
+  try {
+    const uploads = await uploader.listUploads(config.objectKey);
+    if (uploads.length === 0) {
+      console.log(`No unfinished uploads under ${location}`);
+      return EXIT_OK;
+    }
+    console.log(`⏸️  Unfinished uploads under ${location}:`);
+    for (const upload of uploads) {
+      console.log(
+        `  ${upload.objectKey}\n` +
+          `    ${upload.uploadId}, started ${new Date(
+            upload.initiated
+          ).toISOString()}`
+      );
+    }
+    console.log(
+      "  Resume one with s3dl upload <file> <s3://bucket/key> --upload-id <id>, or add --abort-upload to abort it."
+    );
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`s3dl: listing uploads failed: ${error.message}`);
+    return EXIT_FAILURE;
+  }
+}
+
+/**
+ * 批量下载前缀或 glob 匹配的对象
+ */
+async function runBatch(config) {
+  const { objectKey, dateRange, ...batchConfig } = config;
+  const batch = new S3BatchDownloader(batchConfig);
+  batch.setupInterruptHandler(EXIT_INTERRUPTED);
+
+  try {
+    const summary = dateRange
+      ? await batch.downloadDateRange(objectKey, dateRange)
+      : await batch.download(objectKey);
+    if (!summary.success) {
+      console.error(
+        `s3dl: ${summary.failed} of ${summary.total} downloads failed`
+      );
+      return EXIT_FAILURE;
+    }
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`s3dl: batch download failed: ${error.message}`);
+    return EXIT_FAILURE;
+  }
+}
+
+/**
+ * 把前缀增量同步到本地目录
+ */
+async function runSync(config) {
+  const { objectKey, deleteRemoved, dryRun, ...batchConfig } = config;
+  const batch = new S3BatchDownloader(batchConfig);
+  batch.setupInterruptHandler(EXIT_INTERRUPTED);
+
+  try {
+    const summary = await batch.sync(objectKey, { deleteRemoved, dryRun });
+    if (!summary.success) {
+      console.error(
+        `s3dl: ${summary.failed} of ${summary.total} downloads failed`
+      );
+      return EXIT_FAILURE;
+    }
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`s3dl: sync failed: ${error.message}`);
+    return EXIT_FAILURE;
+  }
+}
+
+/**
+ * 运行下载守护进程，直到收到 SIGINT / SIGTERM
+ */
+async function runDaemon(config) {
+  let daemon;
+  try {
+    daemon = new DownloadDaemon(config);
+    await daemon.listen();
+  } catch (error) {
+    console.error(`s3dl: daemon failed to start: ${error.message}`);
+    return EXIT_FAILURE;
+  }
+  // 停止守护进程是正常退出，运行中的任务在下次启动时继续
+  daemon.setupInterruptHandler(EXIT_OK);
+  await once(daemon.server, "close");
+  return EXIT_OK;
+}
+
+const OUTCOME_ICONS = {
+  success: "✅",
+  skipped: "⏭️ ",
+  failed: "❌",
+  cancelled: "🛑",
+  interrupted: "⏸️ ",
+};
+
+/**
+ * 列出下载历史，最新的在前
+ */
+function runHistory(config) {
+  const history = DownloadHistory.from(config.historyFile);
+  if (!history) {
+    console.error("s3dl: download history is disabled (historyFile: false)");
+    return EXIT_USAGE;
+  }
+
+  const entries = history.read({
+    key: config.filter,
+    outcome: config.outcome,
+    limit: config.limit,
+  });
+  if (config.json) {
+    entries.forEach((entry) => console.log(JSON.stringify(entry)));
+    return EXIT_OK;
+  }
+  if (entries.length === 0) {
+    console.log(
+      `No downloads${config.filter ? ` matching "${config.filter}"` : ""} in ${
+        history.filePath
+      }`
+    );
+    return EXIT_OK;
+  }
+
+  for (const entry of entries) {
+    const columns = [
+      entry.time.replace("T", " ").slice(0, 19),
+      `${OUTCOME_ICONS[entry.outcome] || "  "} ${entry.outcome.padEnd(11)}`,
+      (entry.size === undefined
+        ? "-"
+        : FormatUtils.formatFileSize(entry.size, { showBoth: false })
+      ).padStart(11),
+      FormatUtils.formatDuration(entry.totalTime || 0).padStart(7),
+      (entry.avgSpeed
+        ? FormatUtils.formatSpeed(entry.avgSpeed, { showBoth: false })
+        : "-"
+      ).padStart(13),
+      `${entry.totalRetries ?? 0} attempts`.padStart(12),
+      DownloadHistory.location(entry),
+    ];
+    console.log(columns.join("  "));
+    if (entry.error) {
+      console.log(`    ${entry.error}`);
+    }
+  }
+  return EXIT_OK;
+}
+
+/**
+ * 列出下载目录中可续传的下载和无法续传的临时文件
+ */
+function runStatus(config) {
+  const dir = config.downloadDir;
+  const { incomplete, orphans, unknown } = ResumeManifest.scan(dir);
+  if (incomplete.length === 0 && orphans.length === 0 && unknown.length === 0) {
+    console.log(`No unfinished downloads in ${dir}`);
+    return EXIT_OK;
+  }
+
+  if (incomplete.length > 0) {
+    console.log(`⏸️  Resumable downloads in ${dir}:`);
+    for (const download of incomplete) {
+      const percent =
+        download.size > 0
+          ? ((download.downloaded / download.size) * 100).toFixed(1)
+          : "0.0";
+      console.log(
+        `  ${DownloadHistory.location(download)}\n` +
+          `    ${percent}% (${FormatUtils.formatFileSize(download.downloaded, {
+            showBoth: false,
+          })} / ${FormatUtils.formatFileSize(download.size, {
+            showBoth: false,
+          })}), ${download.writeMode} mode, updated ${
+            download.updatedAt
+          }, ${path.relative(dir, path.join(download.dir, download.fileName))}`
+      );
+    }
+    console.log("  Run the same download again to resume it.");
+  }
+  if (orphans.length > 0) {
+    const bytes = orphans.reduce(
+      (sum, file) => sum + fs.statSync(file).size,
+      0
+    );
+    console.log(
+      `🧹 ${orphans.length} abandoned temporary files (${FormatUtils.formatFileSize(
+        bytes,
+        { showBoth: false }
+      )}) that cannot be resumed:`
+    );
+    orphans.forEach((file) => console.log(`  ${path.relative(dir, file)}`));
+    console.log('  Run "s3dl clean" to delete them.');
+  }
+  if (unknown.length > 0) {
+    console.log(
+      `❔ ${unknown.length} .partN / .download files without a resume manifest, "s3dl clean" leaves them alone:`
+    );
+    unknown.forEach((file) => console.log(`  ${path.relative(dir, file)}`));
+  }
+  return EXIT_OK;
+}
+
+/**
+ * 删除无法续传的临时文件，--older-than 时同时删除长时间未更新的未完成下载
+ */
+function runClean(config) {
+  const dir = config.downloadDir;
+  const files = ResumeManifest.clean(dir, {
+    olderThan: (config.olderThan || 0) * 24 * 60 * 60 * 1000,
+    dryRun: config.dryRun,
+  });
+  for (const file of files) {
+    console.log(
+      `${config.dryRun ? "Would delete" : "🗑️  Deleted"} ${path.relative(
+        dir,
+        file
+      )}`
+    );
+  }
+  console.log(
+    files.length === 0
+      ? `Nothing to clean in ${dir}`
+      : `${config.dryRun ? "Would delete" : "Deleted"} ${files.length} files`
+  );
+  return EXIT_OK;
+}
+
+process.exitCode = await main(process.argv.slice(2));
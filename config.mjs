@@ -0,0 +1,459 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parse as parseYaml } from "yaml";
+
+/**
+ * 配置错误 - 配置文件无法解析、profile 不存在或校验失败
+ */
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+/**
+ * 配置加载器 - 从配置文件 (JSON / YAML / .env) 的命名 profile、环境变量和显式参数合并出下载器配置
+ *
+ * 优先级（从低到高）：
+ *   AWS_* 环境变量与 ~/.aws 中的 profile < 配置文件 defaults < 配置文件 profile
+ *   < S3DL_* 环境变量 < 命令行参数 / 构造函数中显式传入的选项
+ */
+export class ConfigLoader {
+  // 当前目录中按顺序查找的配置文件，找不到时再查找 ~/.config/s3dl/
+  static FILE_NAMES = [
+    "s3dl.config.json",
+    "s3dl.config.yaml",
+    "s3dl.config.yml",
+  ];
+
+  // S3DL_* 环境变量，覆盖配置文件中的同名选项
+  static ENV_OPTIONS = {
+    S3DL_BUCKET: "bucketName",
+    S3DL_ENDPOINT: "endpoint",
+    S3DL_REGION: "region",
+    S3DL_CONCURRENCY: "concurrency",
+    S3DL_DOWNLOAD_DIR: "downloadDir",
+    S3DL_CHUNK_SIZE: "chunkSize",
+    S3DL_HISTORY_FILE: "historyFile",
+    S3DL_LOG_LEVEL: "logLevel",
+    S3DL_LOG_FORMAT: "logFormat",
+    S3DL_LOG_DIR: "logDir",
+  };
+
+  static INTEGER_OPTIONS = ["concurrency", "fileConcurrency", "logMaxFiles"];
+
+  static ENUM_OPTIONS = {
+    logLevel: ["debug", "info", "warn", "error", "silent"],
+    logFormat: ["text", "json"],
+  };
+
+  // credentials.source 可选值，见 CredentialManager.createProvider()
+  static CREDENTIAL_SOURCES = ["env", "ini", "process", "chain"];
+
+  /**
+   * 查找默认配置文件
+   */
+  static findConfigFile(dir = process.cwd()) {
+    const userDir = path.join(os.homedir(), ".config", "s3dl");
+    for (const base of [dir, userDir]) {
+      for (const name of ConfigLoader.FILE_NAMES) {
+        const filePath = path.join(base, name);
+        if (fs.existsSync(filePath)) return filePath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 判断是否为 .env 文件（.env、.env.local、polygon.env 等）
+   */
+  static isEnvFile(filePath) {
+    const name = path.basename(filePath);
+    return name === ".env" || name.startsWith(".env.") || name.endsWith(".env");
+  }
+
+  /**
+   * 解析 .env 文件：KEY=VALUE，支持 export 前缀、引号和 # 注释
+   */
+  static parseEnvFile(text) {
+    const values = {};
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("#")) continue;
+
+      const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(
+        line
+      );
+      if (!match) continue;
+
+      let value = match[2];
+      const quote = /^(["'])(.*)\1$/.exec(value);
+      if (quote) {
+        value = quote[1] === '"' ? quote[2].replace(/\\n/g, "\n") : quote[2];
+      } else {
+        value = value.replace(/\s+#.*$/, "");
+      }
+      values[match[1]] = value;
+    }
+    return values;
+  }
+
+  /**
+   * 读取 JSON / YAML 配置文件，返回 { defaults, profiles, profile }
+   */
+  static readConfigFile(filePath) {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      throw new ConfigError(
+        `Cannot read config file ${filePath}: ${error.message}`
+      );
+    }
+
+    let data;
+    try {
+      data = /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+      throw new ConfigError(
+        `Invalid config file ${filePath}: ${error.message}`
+      );
+    }
+
+    data = data ?? {};
+    if (typeof data !== "object" || Array.isArray(data)) {
+      throw new ConfigError(`${filePath}: expected an object at the top level`);
+    }
+    for (const field of ["defaults", "profiles"]) {
+      const value = data[field];
+      if (value !== undefined && (typeof value !== "object" || !value)) {
+        throw new ConfigError(`${filePath}: "${field}" must be an object`);
+      }
+    }
+    return {
+      defaults: data.defaults || {},
+      profiles: data.profiles || {},
+      profile: data.profile,
+    };
+  }
+
+  /**
+   * 读取 AWS 共享配置文件 (INI 格式)
+   */
+  static readIniFile(filePath) {
+    const sections = {};
+    if (!fs.existsSync(filePath)) return sections;
+
+    let current = null;
+    for (const rawLine of fs.readFileSync(filePath, "utf8").split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("#") || line.startsWith(";")) continue;
+
+      const header = /^\[(.+)\]$/.exec(line);
+      if (header) {
+        current = header[1].trim().replace(/^profile\s+/, "");
+        sections[current] = sections[current] || {};
+        continue;
+      }
+
+      const eq = line.indexOf("=");
+      if (current && eq > 0) {
+        sections[current][line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+      }
+    }
+    return sections;
+  }
+
+  /**
+   * 读取 ~/.aws/credentials 与 ~/.aws/config 中的 profile，不存在时返回 null
+   */
+  static readAwsProfile(profileName, env = process.env) {
+    const awsDir = path.join(os.homedir(), ".aws");
+    const credentialsFile =
+      env.AWS_SHARED_CREDENTIALS_FILE || path.join(awsDir, "credentials");
+    const configFile = env.AWS_CONFIG_FILE || path.join(awsDir, "config");
+    const config = ConfigLoader.readIniFile(configFile)[profileName];
+    const credentials = ConfigLoader.readIniFile(credentialsFile)[profileName];
+    return config || credentials ? { ...config, ...credentials } : null;
+  }
+
+  /**
+   * 替换字符串中的 ${VAR}，便于在配置文件中引用环境变量而不是明文保存密钥
+   */
+  static interpolate(value, env, source) {
+    if (typeof value === "string") {
+      return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+        if (env[name] === undefined) {
+          throw new ConfigError(
+            `${source}: environment variable ${name} is not set`
+          );
+        }
+        return env[name];
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => ConfigLoader.interpolate(item, env, source));
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          ConfigLoader.interpolate(item, env, source),
+        ])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * 合并配置，忽略值为 undefined 的选项；retry、bandwidth 等普通对象逐项合并
+   */
+  static merge(...layers) {
+    const isPlainObject = (value) =>
+      value !== null &&
+      typeof value === "object" &&
+      Object.getPrototypeOf(value) === Object.prototype;
+
+    const result = {};
+    for (const layer of layers) {
+      for (const [key, value] of Object.entries(layer || {})) {
+        if (value === undefined) continue;
+        result[key] =
+          isPlainObject(value) && isPlainObject(result[key])
+            ? ConfigLoader.merge(result[key], value)
+            : value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 加载并合并配置
+   * @param options.profile 配置文件中的 profile 名称（找不到时按 ~/.aws 中的 profile 处理）
+   * @param options.configFile 配置文件路径 (JSON / YAML / .env)，默认为 S3DL_CONFIG 或自动查找
+   * @param options.env 环境变量，默认为 process.env
+   * @param options.overrides 优先级最高的选项（命令行参数或构造函数参数）
+   * @param options.requireTarget 为 false 时不要求存储桶和端点（如只查看下载历史）
+   */
+  static load({
+    profile,
+    configFile,
+    env = process.env,
+    overrides = {},
+    requireTarget = true,
+  } = {}) {
+    // .env 中的变量不覆盖已存在的环境变量
+    const envFiles = [];
+    if (configFile && ConfigLoader.isEnvFile(configFile)) {
+      envFiles.push(configFile);
+      configFile = undefined;
+    } else if (fs.existsSync(path.join(process.cwd(), ".env"))) {
+      envFiles.push(path.join(process.cwd(), ".env"));
+    }
+    for (const filePath of envFiles) {
+      if (!fs.existsSync(filePath)) {
+        throw new ConfigError(`Config file ${filePath} does not exist`);
+      }
+      env = {
+        ...ConfigLoader.parseEnvFile(fs.readFileSync(filePath, "utf8")),
+        ...env,
+      };
+    }
+
+    configFile = configFile || env.S3DL_CONFIG;
+    if (configFile && !fs.existsSync(configFile)) {
+      throw new ConfigError(`Config file ${configFile} does not exist`);
+    }
+    configFile = configFile || ConfigLoader.findConfigFile();
+    const file = configFile
+      ? ConfigLoader.readConfigFile(configFile)
+      : { defaults: {}, profiles: {} };
+
+    const profileName = profile || env.S3DL_PROFILE || file.profile;
+    const explicitProfile = Boolean(profile || env.S3DL_PROFILE);
+    let profileConfig = {};
+    let awsProfileName = null;
+    let source = configFile || "config";
+
+    if (profileName && file.profiles[profileName]) {
+      profileConfig = file.profiles[profileName];
+      if (typeof profileConfig !== "object") {
+        throw new ConfigError(
+          `${configFile}: profile "${profileName}" must be an object`
+        );
+      }
+      awsProfileName = profileConfig.awsProfile || null;
+      source = `${configFile}: profile "${profileName}"`;
+    } else if (profileName && ConfigLoader.readAwsProfile(profileName, env)) {
+      // 兼容直接使用 ~/.aws 中的 profile
+      awsProfileName = profileName;
+    } else if (profileName && (explicitProfile || configFile)) {
+      const available = Object.keys(file.profiles);
+      throw new ConfigError(
+        `Profile "${profileName}" not found` +
+          (configFile ? ` in ${configFile}` : "") +
+          " or ~/.aws" +
+          (available.length > 0 ? ` (available: ${available.join(", ")})` : "")
+      );
+    }
+
+    const fileConfig = ConfigLoader.interpolate(
+      ConfigLoader.merge(file.defaults, profileConfig),
+      env,
+      source
+    );
+    delete fileConfig.awsProfile;
+
+    const awsProfile =
+      ConfigLoader.readAwsProfile(
+        awsProfileName || env.AWS_PROFILE || "default",
+        env
+      ) || {};
+    const envOptions = {};
+    for (const [name, option] of Object.entries(ConfigLoader.ENV_OPTIONS)) {
+      envOptions[option] = env[name];
+    }
+
+    const config = ConfigLoader.merge(
+      {
+        region: env.AWS_REGION || env.AWS_DEFAULT_REGION || awsProfile.region,
+        endpoint:
+          env.AWS_ENDPOINT_URL_S3 ||
+          env.AWS_ENDPOINT_URL ||
+          awsProfile.endpoint_url,
+      },
+      fileConfig,
+      envOptions,
+      overrides
+    );
+    config.credentials = ConfigLoader.resolveCredentials({
+      overrides,
+      fileConfig,
+      awsProfileName,
+      env,
+    });
+
+    return ConfigLoader.validate(config, { source, requireTarget });
+  }
+
+  /**
+   * 按 显式参数 > 配置文件 > 指定的 AWS profile > AWS_* 环境变量 > 默认 provider 链 的顺序解析凭证，
+   * 返回值交给 CredentialManager（静态密钥或 { source, profile } / { roleArn } 描述）
+   */
+  static resolveCredentials({ overrides, fileConfig, awsProfileName, env }) {
+    if (overrides.credentials) return overrides.credentials;
+    if (fileConfig.credentials) return fileConfig.credentials;
+
+    // ini provider 同时支持 role_arn / source_profile、credential_process 和 SSO
+    if (awsProfileName) return { source: "ini", profile: awsProfileName };
+
+    // 显式读取，.env 中的变量不在 process.env 里
+    if (env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY) {
+      return {
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        ...(env.AWS_SESSION_TOKEN && { sessionToken: env.AWS_SESSION_TOKEN }),
+      };
+    }
+    return { source: "chain", profile: env.AWS_PROFILE };
+  }
+
+  /**
+   * 校验合并后的配置，返回规范化后的配置
+   */
+  static validate(config, { source = "config", requireTarget = true } = {}) {
+    const fail = (message) => {
+      throw new ConfigError(`${source}: ${message}`);
+    };
+
+    // 从 URL 下载时不需要存储桶和端点
+    const needsTarget = requireTarget && !config.url;
+    if (needsTarget && !config.bucketName) {
+      fail(
+        'missing "bucketName" (set it in the profile, S3DL_BUCKET, --bucket or an s3://bucket/key target)'
+      );
+    }
+    if (config.bucketName && typeof config.bucketName !== "string") {
+      fail(`"bucketName" must be a string`);
+    }
+    if (needsTarget && !config.endpoint && !config.region) {
+      fail(
+        'missing "endpoint" (set it in the profile, S3DL_ENDPOINT or --endpoint; for AWS S3 set "region" instead)'
+      );
+    }
+    if (config.endpoint) {
+      try {
+        new URL(config.endpoint);
+      } catch {
+        fail(
+          `"endpoint" must be a URL such as https://s3.example.com, got "${config.endpoint}"`
+        );
+      }
+    }
+
+    for (const option of ConfigLoader.INTEGER_OPTIONS) {
+      if (config[option] === undefined) continue;
+      const number = Number(config[option]);
+      if (!Number.isInteger(number) || number < 1) {
+        fail(`"${option}" must be a positive integer, got "${config[option]}"`);
+      }
+      config[option] = number;
+    }
+
+    for (const [option, values] of Object.entries(ConfigLoader.ENUM_OPTIONS)) {
+      if (config[option] !== undefined && !values.includes(config[option])) {
+        fail(
+          `"${option}" must be one of ${values.join(", ")}, got "${
+            config[option]
+          }"`
+        );
+      }
+    }
+
+    const { credentials } = config;
+    if (credentials && typeof credentials === "object") {
+      const isStatic = credentials.accessKeyId || credentials.secretAccessKey;
+      if (
+        isStatic &&
+        (!credentials.accessKeyId || !credentials.secretAccessKey)
+      ) {
+        fail(`"credentials" needs both accessKeyId and secretAccessKey`);
+      }
+      if (
+        credentials.source &&
+        !ConfigLoader.CREDENTIAL_SOURCES.includes(credentials.source)
+      ) {
+        fail(
+          `"credentials.source" must be one of ${ConfigLoader.CREDENTIAL_SOURCES.join(
+            ", "
+          )}, got "${credentials.source}"`
+        );
+      }
+      if (credentials.roleArn && !/^arn:/.test(credentials.roleArn)) {
+        fail(
+          `"credentials.roleArn" must be an ARN such as arn:aws:iam::123456789012:role/reader, got "${credentials.roleArn}"`
+        );
+      }
+    }
+
+    if (config.downloadDir) {
+      config.downloadDir = path.resolve(config.downloadDir);
+    }
+    return config;
+  }
+
+  /**
+   * 构造函数使用：传入 profile 名称或含 profile / configFile 的选项时加载配置，否则原样返回
+   */
+  static resolve(config = {}) {
+    if (typeof config === "string") {
+      config = { profile: config };
+    }
+    if (!config.profile && !config.configFile) return config;
+
+    const { profile, configFile, ...overrides } = config;
+    return ConfigLoader.load({ profile, configFile, overrides });
+  }
+}
@@ -0,0 +1,841 @@
+import { S3Client } from "@aws-sdk/client-s3";
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import {
+  BandwidthLimiter,
+  CredentialManager,
+  FileIntegrityChecker,
+  HttpSource,
+  Logger,
+  S3MultiThreadDownloader,
+} from "./s3-downloader.mjs";
+import { ConfigLoader } from "./config.mjs";
+import { MetricsExporter } from "./metrics.mjs";
+
+/**
+ * API 请求错误 - 带 HTTP 状态码，以 { "error": message } 返回
+ */
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+/**
+ * 下载守护进程 - 在本地 REST API 后面运行 S3MultiThreadDownloader，
+ * 按优先级调度下载队列，并把队列持久化到 JSON 文件，重启后继续未完成的任务
+ *
+ * 任务状态：queued → running → completed | failed | cancelled，
+ * paused 的任务不占用运行名额，resume 后重新排队并从已下载的分片继续
+ */
+export class DownloadDaemon {
+  static VERSION = 1;
+
+  static DEFAULT_PORT = 8765;
+
+  // 与配置文件、下载历史放在同一目录
+  static DEFAULT_QUEUE_FILE = path.join(
+    os.homedir(),
+    ".config",
+    "s3dl",
+    "queue.json"
+  );
+
+  static STATES = [
+    "queued",
+    "running",
+    "paused",
+    "completed",
+    "failed",
+    "cancelled",
+  ];
+
+  // 创建任务时可以覆盖的下载器选项
+  static JOB_OPTIONS = [
+    "downloadDir",
+    "versionId",
+    "headers",
+    "concurrency",
+    "chunkSize",
+    "writeMode",
+    "decompress",
+    "expectedHash",
+    "verifyChecksum",
+    "ifModifiedSince",
+    "skipUnchanged",
+  ];
+
+  /**
+   * @param config 配置对象或 profile 名称，与 S3BatchDownloader 相同，另外读取 daemon 选项：
+   * @param config.daemon.port API 端口 (默认: 8765)
+   * @param config.daemon.host API 地址 (默认: 127.0.0.1，只接受本机请求)
+   * @param config.daemon.token 请求需带 Authorization: Bearer <token> (默认: $S3DL_DAEMON_TOKEN，
+   *   都未设置时使用队列文件旁 daemon.token 中的令牌，不存在时随机生成；false 表示不校验)
+   * @param config.daemon.queueFile 队列文件 (默认: ~/.config/s3dl/queue.json)
+   * @param config.daemon.maxJobs 同时运行的任务数 (默认: 2)
+   */
+  constructor(config = {}) {
+    config = ConfigLoader.resolve(config);
+    const {
+      port = DownloadDaemon.DEFAULT_PORT,
+      host = "127.0.0.1",
+      token = process.env.S3DL_DAEMON_TOKEN,
+      queueFile = DownloadDaemon.DEFAULT_QUEUE_FILE,
+      maxJobs = 2,
+    } = config.daemon || {};
+    this.config = config;
+    this.port = port;
+    this.host = host;
+    this.queueFile = path.resolve(queueFile);
+    this.tokenFile =
+      token === undefined || token === ""
+        ? path.join(path.dirname(this.queueFile), "daemon.token")
+        : null;
+    this.token =
+      token === false ? null : this.tokenFile ? this.loadToken() : token;
+    this.maxJobs = maxJobs;
+    this.downloadDir = path.resolve(
+      config.downloadDir || path.join(process.cwd(), "files")
+    );
+
+    // 所有任务共用凭证、S3Client、带宽限制和指标，限速作用于整个守护进程
+    this.credentials =
+      config.s3Client && !(config.credentials instanceof CredentialManager)
+        ? null
+        : CredentialManager.from(config.credentials, {
+            region: config.region || "ap-east-1",
+          });
+    this.s3Client =
+      config.s3Client ||
+      new S3Client({
+        region: config.region || "ap-east-1",
+        credentials: this.credentials.provider,
+        endpoint: config.endpoint || "",
+        forcePathStyle: true,
+      });
+    this.bandwidth =
+      config.bandwidth instanceof BandwidthLimiter
+        ? config.bandwidth
+        : new BandwidthLimiter(config.bandwidth);
+    this.metrics = MetricsExporter.from(config.metrics);
+
+    if (!fs.existsSync(this.downloadDir)) {
+      fs.mkdirSync(this.downloadDir, { recursive: true });
+    }
+
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")
+      .slice(0, 19);
+
+    // 守护进程与所有任务共用一个日志文件
+    this.logFileName = path.resolve(
+      config.logDir || this.downloadDir,
+      config.logFileName || `daemon_log_${timestamp}.txt`
+    );
+    this.logger = Logger.fromConfig(this.logFileName, config);
+
+    this.jobs = new Map();
+    // 运行中的任务：id -> { downloader, controller, stopAs, done }
+    this.running = new Map();
+    this.sequence = 0;
+    this.server = null;
+    this.closing = null;
+    this.loadQueue();
+  }
+
+  /**
+   * 读取 daemon.token，不存在时生成随机令牌并以 0600 权限保存，重启后客户端可以继续使用
+   */
+  loadToken() {
+    if (fs.existsSync(this.tokenFile)) {
+      const token = fs.readFileSync(this.tokenFile, "utf8").trim();
+      if (token) return token;
+    }
+    const token = crypto.randomBytes(24).toString("hex");
+    fs.mkdirSync(path.dirname(this.tokenFile), { recursive: true });
+    fs.writeFileSync(this.tokenFile, `${token}\n`, { mode: 0o600 });
+    fs.chmodSync(this.tokenFile, 0o600);
+    return token;
+  }
+
+  /**
+   * 读取队列文件；上次退出时仍在运行的任务重新排队
+   */
+  loadQueue() {
+    if (!fs.existsSync(this.queueFile)) return;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.queueFile, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Cannot read download queue ${this.queueFile}: ${error.message}`
+      );
+    }
+    if (data.version !== DownloadDaemon.VERSION || !Array.isArray(data.jobs)) {
+      throw new Error(
+        `Unsupported download queue ${this.queueFile} (version ${data.version})`
+      );
+    }
+    for (const job of data.jobs) {
+      if (job.state === "running") {
+        job.state = "queued";
+      }
+      this.jobs.set(job.id, job);
+      this.sequence = Math.max(this.sequence, job.sequence || 0);
+    }
+  }
+
+  /**
+   * 原子写入队列文件（先写临时文件再重命名）；任务可能带有请求头，只允许当前用户读写
+   */
+  saveQueue() {
+    fs.mkdirSync(path.dirname(this.queueFile), { recursive: true });
+    const tempPath = `${this.queueFile}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify(
+        {
+          version: DownloadDaemon.VERSION,
+          updatedAt: new Date().toISOString(),
+          jobs: [...this.jobs.values()],
+        },
+        null,
+        2
+      ),
+      { mode: 0o600 }
+    );
+    // mode 只在创建文件时生效
+    fs.chmodSync(tempPath, 0o600);
+    fs.renameSync(tempPath, this.queueFile);
+  }
+
+  /**
+   * 启动 API 并开始运行队列中的任务
+   */
+  async listen() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once("error", (error) => {
+        reject(
+          new Error(
+            `Daemon cannot listen on ${this.host}:${this.port}: ${error.message}`
+          )
+        );
+      });
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    await this.metrics?.listen();
+
+    const queued = this.listJobs({ state: "queued" }).length;
+    this.logger.info(`🛰️  Daemon listening on ${this.url}`);
+    this.logger.info(
+      `📋 Queue: ${this.queueFile} (${this.jobs.size} jobs, ${queued} queued)`
+    );
+    this.logger.info(`🧵 Max jobs: ${this.maxJobs}`);
+    if (this.tokenFile) {
+      this.logger.info(`🔑 Token: ${this.tokenFile}`);
+    } else if (!this.token) {
+      this.logger.warn(
+        "⚠️  Token check disabled, any local process can use the API"
+      );
+    }
+    if (this.bandwidth.enabled) {
+      this.logger.info(`🚦 Bandwidth: ${this.bandwidth.describe()}`);
+    }
+    if (this.metrics) {
+      this.logger.info(`📈 Metrics: ${this.metrics.url}`);
+    }
+    if (this.logger.logFilePath) {
+      this.logger.info(`📋 Log file: ${this.logger.logFilePath}\n`);
+    }
+    this.schedule();
+    return this;
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * 停止接受请求，暂停运行中的任务（重启后从已下载的分片继续）并保存队列
+   */
+  close() {
+    if (this.closing) return this.closing;
+    this.closing = (async () => {
+      this.server?.close();
+      const running = [...this.running.values()];
+      for (const entry of running) {
+        entry.stopAs = "queued";
+        entry.controller.abort();
+      }
+      await Promise.allSettled(running.map((entry) => entry.done));
+      this.saveQueue();
+      await this.metrics?.close();
+      this.logger.info("🛰️  Daemon stopped, unfinished jobs will resume");
+      this.logger.close();
+    })();
+    return this.closing;
+  }
+
+  /**
+   * 添加下载任务
+   * @param spec.key 对象键或 s3://bucket/key
+   * @param spec.bucket 存储桶 (默认: 配置中的 bucketName)
+   * @param spec.url 预签名 URL 或 HTTPS 链接，代替 key
+   * @param spec.priority 优先级，数值大的先运行 (默认: 0)
+   * 其余字段见 DownloadDaemon.JOB_OPTIONS
+   */
+  addJob({ key, bucket, url, priority = 0, ...options } = {}) {
+    const unknown = Object.keys(options).filter(
+      (name) => !DownloadDaemon.JOB_OPTIONS.includes(name)
+    );
+    if (unknown.length > 0) {
+      throw new ApiError(
+        400,
+        `Unknown job option "${unknown[0]}", expected key, bucket, url, priority or ${DownloadDaemon.JOB_OPTIONS.join(
+          ", "
+        )}`
+      );
+    }
+    DownloadDaemon.validatePriority(priority);
+    if (options.downloadDir !== undefined) {
+      this.resolveDownloadDir(options.downloadDir);
+    }
+    try {
+      FileIntegrityChecker.parseExpectedHash(options.expectedHash);
+    } catch (error) {
+      throw new ApiError(400, error.message);
+    }
+
+    let bucketName = bucket || this.config.bucketName;
+    let objectKey = key;
+    if (url !== undefined) {
+      if (!HttpSource.isUrl(url)) {
+        throw new ApiError(400, `"url" must be an http(s) URL, got "${url}"`);
+      }
+      bucketName = undefined;
+      objectKey = url;
+    } else {
+      if (typeof key !== "string" || !key) {
+        throw new ApiError(400, `"key" or "url" is required`);
+      }
+      const match = key.match(/^s3:\/\/([^/]+)\/(.+)$/);
+      if (match) {
+        [, bucketName, objectKey] = match;
+      }
+      if (!bucketName) {
+        throw new ApiError(
+          400,
+          `"bucket" is required, the daemon has no default bucket`
+        );
+      }
+    }
+
+    const target = this.getTargetPath({ objectKey, url, options });
+    const duplicate = [...this.jobs.values()].find(
+      (other) =>
+        ["queued", "running"].includes(other.state) &&
+        this.getTargetPath(other) === target
+    );
+    if (duplicate) {
+      throw new ApiError(
+        409,
+        `Job ${duplicate.id} is already ${duplicate.state} for ${target}`
+      );
+    }
+
+    const job = {
+      id: crypto.randomBytes(6).toString("hex"),
+      sequence: ++this.sequence,
+      state: "queued",
+      priority,
+      bucketName,
+      objectKey,
+      url,
+      options,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      attempts: 0,
+      progress: null,
+      result: null,
+      error: null,
+    };
+    this.jobs.set(job.id, job);
+    this.saveQueue();
+    this.logger.info(
+      `➕ Job ${job.id} queued: ${this.describeJob(job)} (priority ${priority})`
+    );
+    this.schedule();
+    return job;
+  }
+
+  static validatePriority(priority) {
+    if (!Number.isInteger(priority)) {
+      throw new ApiError(
+        400,
+        `"priority" must be an integer, got ${JSON.stringify(priority)}`
+      );
+    }
+  }
+
+  /**
+   * 任务的 downloadDir 相对守护进程的下载目录解析，不允许指向目录之外
+   */
+  resolveDownloadDir(downloadDir = "") {
+    if (typeof downloadDir !== "string") {
+      throw new ApiError(
+        400,
+        `"downloadDir" must be a string, got ${JSON.stringify(downloadDir)}`
+      );
+    }
+    const resolved = path.resolve(this.downloadDir, downloadDir);
+    const relative = path.relative(this.downloadDir, resolved);
+    if (
+      relative === ".." ||
+      relative.startsWith(`..${path.sep}`) ||
+      path.isAbsolute(relative)
+    ) {
+      throw new ApiError(
+        400,
+        `"downloadDir" must be inside ${this.downloadDir}, got "${downloadDir}"`
+      );
+    }
+    return resolved;
+  }
+
+  /**
+   * 任务写入的本地文件，分块和清单都以它命名，同一文件同时只能有一个任务
+   */
+  getTargetPath(job) {
+    const fileName = job.url
+      ? new HttpSource(job.url).fileName
+      : job.objectKey.split("/").pop();
+    return path.join(
+      path.resolve(this.downloadDir, job.options.downloadDir || ""),
+      fileName
+    );
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new ApiError(404, `No job ${id}`);
+    }
+    return job;
+  }
+
+  /**
+   * 按运行顺序列出任务：运行中、排队（优先级高的在前）、其他（最新的在前）
+   */
+  listJobs({ state } = {}) {
+    const order = (job) => ({ running: 0, queued: 1 })[job.state] ?? 2;
+    return [...this.jobs.values()]
+      .filter((job) => !state || job.state === state)
+      .sort(
+        (a, b) =>
+          order(a) - order(b) ||
+          (order(a) === 2
+            ? b.sequence - a.sequence
+            : b.priority - a.priority || a.sequence - b.sequence)
+      );
+  }
+
+  setPriority(id, priority) {
+    const job = this.getJob(id);
+    DownloadDaemon.validatePriority(priority);
+    job.priority = priority;
+    this.saveQueue();
+    this.schedule();
+    return job;
+  }
+
+  /**
+   * 暂停任务：运行中的任务中止请求并让出名额，已下载的分片保留
+   */
+  async pauseJob(id) {
+    const job = this.getJob(id);
+    if (job.state === "queued") {
+      this.setState(job, "paused");
+    } else if (job.state === "running") {
+      await this.stopJob(job, "paused");
+    } else if (job.state !== "paused") {
+      throw new ApiError(409, `Job ${id} is ${job.state}, cannot pause it`);
+    }
+    return job;
+  }
+
+  /**
+   * 恢复暂停、失败或取消的任务：重新排队，从已下载的分片继续
+   */
+  resumeJob(id) {
+    const job = this.getJob(id);
+    if (["paused", "failed", "cancelled"].includes(job.state)) {
+      job.error = null;
+      this.setState(job, "queued");
+      this.schedule();
+    } else if (!["queued", "running"].includes(job.state)) {
+      throw new ApiError(409, `Job ${id} is ${job.state}, cannot resume it`);
+    }
+    return job;
+  }
+
+  /**
+   * 取消任务：已下载的分片保留，可用 s3dl clean 删除或 resume 继续
+   */
+  async cancelJob(id) {
+    const job = this.getJob(id);
+    if (["queued", "paused"].includes(job.state)) {
+      this.setState(job, "cancelled");
+    } else if (job.state === "running") {
+      await this.stopJob(job, "cancelled");
+    } else if (job.state !== "cancelled") {
+      throw new ApiError(409, `Job ${id} is ${job.state}, cannot cancel it`);
+    }
+    return job;
+  }
+
+  /**
+   * 从队列中删除已结束的任务
+   */
+  removeJob(id) {
+    const job = this.getJob(id);
+    if (["running", "queued"].includes(job.state)) {
+      throw new ApiError(
+        409,
+        `Job ${id} is ${job.state}, pause or cancel it first`
+      );
+    }
+    this.jobs.delete(id);
+    this.saveQueue();
+  }
+
+  getLimits() {
+    return {
+      maxJobs: this.maxJobs,
+      running: this.running.size,
+      queued: this.listJobs({ state: "queued" }).length,
+      // 字节/秒，0 表示不限
+      bandwidth: {
+        limit: this.bandwidth.getCurrentLimit(),
+        perConnection: this.bandwidth.perConnection,
+      },
+    };
+  }
+
+  /**
+   * 运行时调整全局限制（不写入队列文件，重启后恢复为配置中的值）
+   * @param limits.maxJobs 同时运行的任务数，减少时运行中的任务继续完成
+   * @param limits.bandwidth 与 setBandwidthLimit() 相同，如 { limit: "20M" }
+   */
+  setLimits({ maxJobs, bandwidth } = {}) {
+    if (maxJobs !== undefined) {
+      if (!Number.isInteger(maxJobs) || maxJobs < 1) {
+        throw new ApiError(
+          400,
+          `"maxJobs" must be a positive integer, got ${JSON.stringify(maxJobs)}`
+        );
+      }
+      this.maxJobs = maxJobs;
+    }
+    if (bandwidth !== undefined) {
+      try {
+        this.bandwidth.setLimit(bandwidth);
+      } catch (error) {
+        throw new ApiError(400, error.message);
+      }
+    }
+    this.logger.info(
+      `⚙️  Limits: ${this.maxJobs} jobs, bandwidth ${this.bandwidth.describe()}`
+    );
+    this.schedule();
+    return this.getLimits();
+  }
+
+  setState(job, state) {
+    job.state = state;
+    this.saveQueue();
+  }
+
+  /**
+   * 中止运行中的任务，等待它保存进度并让出名额
+   */
+  async stopJob(job, state) {
+    const entry = this.running.get(job.id);
+    entry.stopAs = state;
+    entry.controller.abort();
+    await entry.done;
+  }
+
+  /**
+   * 在名额内按优先级启动排队的任务；与运行中的任务写同一文件的任务继续排队
+   */
+  schedule() {
+    if (!this.server || this.closing) return;
+    while (this.running.size < this.maxJobs) {
+      const busy = new Set(
+        [...this.running.keys()].map((id) =>
+          this.getTargetPath(this.jobs.get(id))
+        )
+      );
+      const next = this.listJobs({ state: "queued" }).find(
+        (job) => !busy.has(this.getTargetPath(job))
+      );
+      if (!next) return;
+      this.runJob(next);
+    }
+  }
+
+  runJob(job) {
+    const controller = new AbortController();
+    const entry = { downloader: null, controller, stopAs: null, done: null };
+    this.running.set(job.id, entry);
+    job.state = "running";
+    job.startedAt = new Date().toISOString();
+    job.finishedAt = null;
+    job.attempts++;
+    this.saveQueue();
+    this.logger.info(`▶️  Job ${job.id} started: ${this.describeJob(job)}`);
+
+    entry.done = (async () => {
+      try {
+        entry.downloader = this.createDownloader(job);
+        const result = await entry.downloader.download(null, {
+          signal: controller.signal,
+        });
+        job.state = "completed";
+        job.result = {
+          filePath: result.filePath,
+          fileSize: result.fileSize,
+          skipped: result.skipped || false,
+          totalTime: result.totalTime,
+          avgSpeed: result.avgSpeed,
+          totalRetries: result.totalRetries,
+        };
+        this.logger.info(
+          `✅ Job ${job.id} ${result.skipped ? "skipped (not modified)" : "completed"}: ${this.describeJob(job)}`
+        );
+      } catch (error) {
+        job.state = entry.stopAs || "failed";
+        if (job.state === "failed") {
+          job.error = error.message;
+          this.logger.error(`❌ Job ${job.id} failed: ${error.message}`);
+        } else {
+          this.logger.info(`⏸️  Job ${job.id} ${job.state}`);
+        }
+      } finally {
+        const status = entry.downloader?.getStatus();
+        if (status) {
+          job.progress = {
+            downloaded: status.downloaded,
+            totalSize: status.totalSize,
+          };
+        }
+        if (job.state !== "queued") {
+          job.finishedAt = new Date().toISOString();
+        }
+        this.running.delete(job.id);
+        this.saveQueue();
+        this.schedule();
+      }
+    })();
+  }
+
+  createDownloader(job) {
+    const { daemon, ...config } = this.config;
+    return new S3MultiThreadDownloader({
+      ...config,
+      ...job.options,
+      bucketName: job.bucketName,
+      objectKey: job.objectKey,
+      url: job.url,
+      downloadDir: this.resolveDownloadDir(job.options.downloadDir),
+      s3Client: this.s3Client,
+      credentials: this.credentials ?? this.config.credentials,
+      bandwidth: this.bandwidth,
+      metrics: this.metrics,
+      logger: this.logger,
+      showProgress: false,
+    });
+  }
+
+  describeJob(job) {
+    return job.url
+      ? new HttpSource(job.url).key
+      : `${job.bucketName}/${job.objectKey}`;
+  }
+
+  /**
+   * API 返回的任务：运行中的任务附带 getStatus() 的实时状态，不返回请求头
+   */
+  viewJob(job) {
+    const { headers, ...options } = job.options;
+    const status = this.running.get(job.id)?.downloader?.getStatus() || null;
+    const progress = status
+      ? { downloaded: status.downloaded, totalSize: status.totalSize }
+      : job.progress;
+    return {
+      ...job,
+      url: job.url && this.describeJob(job),
+      options,
+      progress: progress && {
+        ...progress,
+        percent:
+          progress.totalSize > 0
+            ? Number(
+                ((progress.downloaded / progress.totalSize) * 100).toFixed(2)
+              )
+            : 0,
+      },
+      status,
+    };
+  }
+
+  /**
+   * REST API：
+   *   GET    /jobs[?state=queued]        列出任务
+   *   POST   /jobs                       添加任务 { key | url, bucket, priority, ...options }
+   *   GET    /jobs/:id                   任务详情
+   *   PATCH  /jobs/:id                   修改优先级 { priority }
+   *   POST   /jobs/:id/pause|resume|cancel
+   *   DELETE /jobs/:id                   删除已结束的任务
+   *   GET    /limits，PATCH /limits      全局限制 { maxJobs, bandwidth }
+   *
+   * 带 Origin 头的请求（来自浏览器页面）一律拒绝，POST / PATCH 必须是 application/json，
+   * 避免网页通过表单或简单请求触发下载
+   */
+  async handleRequest(req, res) {
+    let status = 200;
+    let body;
+    try {
+      if (req.headers.origin !== undefined) {
+        throw new ApiError(403, "Cross-origin requests are not allowed");
+      }
+      if (this.token && req.headers.authorization !== `Bearer ${this.token}`) {
+        throw new ApiError(401, "Missing or invalid bearer token");
+      }
+      if (
+        ["POST", "PATCH"].includes(req.method) &&
+        !/^application\/json\s*(;|$)/i.test(req.headers["content-type"] || "")
+      ) {
+        throw new ApiError(415, "Content-Type must be application/json");
+      }
+      const url = new URL(req.url, "http://localhost");
+      const [resource, id, action, ...rest] = url.pathname
+        .split("/")
+        .filter(Boolean);
+      const route = `${req.method} /${[resource, id && ":id", action, ...rest]
+        .filter(Boolean)
+        .join("/")}`;
+
+      switch (route) {
+        case "GET /jobs": {
+          const state = url.searchParams.get("state") || undefined;
+          if (state && !DownloadDaemon.STATES.includes(state)) {
+            throw new ApiError(
+              400,
+              `"state" must be one of ${DownloadDaemon.STATES.join(", ")}`
+            );
+          }
+          body = this.listJobs({ state }).map((job) => this.viewJob(job));
+          break;
+        }
+        case "POST /jobs":
+          status = 201;
+          body = this.viewJob(this.addJob(await DownloadDaemon.readBody(req)));
+          break;
+        case "GET /jobs/:id":
+          body = this.viewJob(this.getJob(id));
+          break;
+        case "PATCH /jobs/:id": {
+          const { priority } = await DownloadDaemon.readBody(req);
+          body = this.viewJob(this.setPriority(id, priority));
+          break;
+        }
+        case "POST /jobs/:id/pause":
+          body = this.viewJob(await this.pauseJob(id));
+          break;
+        case "POST /jobs/:id/resume":
+          body = this.viewJob(this.resumeJob(id));
+          break;
+        case "POST /jobs/:id/cancel":
+          body = this.viewJob(await this.cancelJob(id));
+          break;
+        case "DELETE /jobs/:id":
+          this.removeJob(id);
+          status = 204;
+          break;
+        case "GET /limits":
+          body = this.getLimits();
+          break;
+        case "PATCH /limits":
+          body = this.setLimits(await DownloadDaemon.readBody(req));
+          break;
+        default:
+          throw new ApiError(404, `No route for ${req.method} ${url.pathname}`);
+      }
+    } catch (error) {
+      status = error instanceof ApiError ? error.status : 500;
+      body = { error: error.message };
+      if (status === 500) {
+        this.logger.error(`API ${req.method} ${req.url}: ${error.stack}`);
+      }
+    }
+
+    if (body === undefined) {
+      res.writeHead(status);
+      res.end();
+      return;
+    }
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body, null, 2) + "\n");
+  }
+
+  /**
+   * 读取 JSON 请求体（最大 1 MiB）
+   */
+  static async readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > 1024 * 1024) {
+        throw new ApiError(413, "Request body is larger than 1 MiB");
+      }
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString("utf8");
+    if (!text.trim()) return {};
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw new ApiError(400, `Invalid JSON body: ${error.message}`);
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new ApiError(400, "Request body must be a JSON object");
+    }
+    return body;
+  }
+
+  /**
+   * 设置中断处理器：SIGINT / SIGTERM 时暂停运行中的任务、保存队列后退出
+   */
+  setupInterruptHandler(exitCode = 0) {
+    const stop = async () => {
+      console.log("\n\n⚠️  Daemon stopping");
+      await this.close();
+      process.exit(exitCode);
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  }
+}
@@ -0,0 +1,88 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * 下载历史 - 以 JSON Lines 追加记录每次下载的对象、ETag、大小、耗时、速度、重试次数和结果
+ *
+ * 每行一条记录，多个进程同时追加也不会互相覆盖；无法解析的行（如写入中断）在读取时忽略
+ */
+export class DownloadHistory {
+  // s3dl 命令行的默认路径，与配置文件放在同一目录，可通过 historyFile 或 S3DL_HISTORY_FILE 修改
+  static DEFAULT_PATH = path.join(
+    os.homedir(),
+    ".config",
+    "s3dl",
+    "history.jsonl"
+  );
+
+  static OUTCOMES = [
+    "success",
+    "skipped",
+    "failed",
+    "cancelled",
+    "interrupted",
+  ];
+
+  constructor(filePath = DownloadHistory.DEFAULT_PATH) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * 根据 historyFile 配置创建：未设置或 false 表示不记录，true 使用默认路径，
+   * 已是 DownloadHistory 时直接返回
+   */
+  static from(historyFile) {
+    if (!historyFile) return null;
+    if (historyFile instanceof DownloadHistory) return historyFile;
+    return new DownloadHistory(
+      historyFile === true ? DownloadHistory.DEFAULT_PATH : historyFile
+    );
+  }
+
+  /**
+   * 追加一条记录（同步写入，中断处理器中也能使用）
+   */
+  record(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(
+      this.filePath,
+      JSON.stringify({ time: new Date().toISOString(), ...entry }) + "\n"
+    );
+  }
+
+  /**
+   * 读取记录，最新的在前
+   * @param options.key 只返回 bucket/key 中包含该字符串的记录
+   * @param options.outcome 只返回该结果的记录
+   * @param options.limit 最多返回的条数（0 表示不限）
+   */
+  read({ key, outcome, limit = 0 } = {}) {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(this.filePath, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (key && !DownloadHistory.location(entry).includes(key)) continue;
+      if (outcome && entry.outcome !== outcome) continue;
+      entries.push(entry);
+    }
+    entries.reverse();
+    return limit > 0 ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * 用于显示和过滤的对象位置：bucket/key，HTTP 下载源为 URL
+   */
+  static location(entry) {
+    return entry.bucketName
+      ? `${entry.bucketName}/${entry.objectKey}`
+      : entry.objectKey;
+  }
+}
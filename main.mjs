@@ -8,14 +8,9 @@ import {
 import path from "path";
 
 async function main() {
+  // 存储桶、端点和凭证来自 s3dl.config.yaml 中的 polygon profile（参考 s3dl.config.example.yaml）
   const downloader = new S3MultiThreadDownloader({
-    bucketName: "flatfiles",
-    region: "ap-east-1",
-    endpoint: "https://files.polygon.io",
-    credentials: {
-      accessKeyId: "1805d9f5-8c9a-4061-ac1c-ef4f24df4234",
-      secretAccessKey: "Mt51RZwAu3kmNBh4XZF6JUuYIifjt6Jf",
-    },
+    profile: "polygon",
     objectKey: "flatfiles/us_options_opra/quotes_v1/2025/06/2025-06-10.csv.gz",
     concurrency: 10, //线程数
     downloadDir: path.join(process.cwd(), "files"), //保存目录
@@ -0,0 +1,287 @@
+import http from "http";
+
+/**
+ * Prometheus 指标导出 - 汇总一个或多个下载器的字节数、速度、连接数、重试和分块耗时，
+ * 通过内置 HTTP 端点以 Prometheus 文本格式 (OpenMetrics 兼容) 提供给抓取
+ *
+ * 同一个实例可以被多个下载器共用（批量下载、同步），指标按进程累计
+ */
+export class MetricsExporter {
+  static DEFAULT_PORT = 9464;
+
+  // 分块耗时直方图的桶（秒）
+  static DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+  /**
+   * @param options.port 监听端口 (默认: 9464，0 表示随机端口)
+   * @param options.host 监听地址 (默认: 127.0.0.1，供其他主机抓取时设为 0.0.0.0)
+   * @param options.path 指标路径 (默认: /metrics)
+   * @param options.prefix 指标名前缀 (默认: s3dl_)
+   */
+  constructor({
+    port = MetricsExporter.DEFAULT_PORT,
+    host = "127.0.0.1",
+    path = "/metrics",
+    prefix = "s3dl_",
+  } = {}) {
+    this.port = port;
+    this.host = host;
+    this.path = path;
+    this.prefix = prefix;
+    this.server = null;
+    this.listening = null;
+
+    // 进行中的下载：downloader -> 开始时的 ProgressTracker
+    this.active = new Map();
+    // 已结束下载传输的字节数，加上进行中的得到总数
+    this.finishedBytes = 0;
+    this.downloads = {};
+    this.retries = {};
+    this.durations = {
+      buckets: MetricsExporter.DURATION_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+  }
+
+  /**
+   * 根据 metrics 配置创建：true 使用默认端口，数字为端口，已是 MetricsExporter 时直接返回
+   */
+  static from(metrics) {
+    if (!metrics) return null;
+    if (metrics instanceof MetricsExporter) return metrics;
+    if (metrics === true) return new MetricsExporter();
+    if (typeof metrics === "number") {
+      return new MetricsExporter({ port: metrics });
+    }
+    return new MetricsExporter(metrics);
+  }
+
+  /**
+   * 启动 HTTP 端点（重复调用返回同一个 Promise）
+   *
+   * 服务器不会阻止进程退出，下载结束后进程照常结束
+   */
+  listen() {
+    if (this.listening) return this.listening;
+
+    this.server = http.createServer((req, res) => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (req.method !== "GET" || pathname !== this.path) {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("Not Found\n");
+        return;
+      }
+      res.writeHead(200, {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      });
+      res.end(this.render());
+    });
+
+    this.listening = new Promise((resolve, reject) => {
+      this.server.once("error", (error) => {
+        reject(
+          new Error(
+            `Metrics endpoint cannot listen on ${this.host}:${this.port}: ${error.message}`
+          )
+        );
+      });
+      this.server.listen(this.port, this.host, () => {
+        this.server.unref();
+        this.port = this.server.address().port;
+        resolve(this);
+      });
+    });
+    return this.listening;
+  }
+
+  get url() {
+    const host = this.host === "0.0.0.0" ? "127.0.0.1" : this.host;
+    return `http://${host}:${this.port}${this.path}`;
+  }
+
+  /**
+   * 关闭 HTTP 端点
+   */
+  async close() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    this.listening = null;
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  /**
+   * 订阅下载器的事件，由 S3MultiThreadDownloader 构造函数调用
+   */
+  attach(downloader) {
+    downloader.on("start", () => {
+      this.active.set(downloader, downloader.progressTracker);
+    });
+    downloader.on("part:complete", ({ resumed, time }) => {
+      if (!resumed) this.observeDuration(time);
+    });
+    downloader.on("part:retry", ({ reason }) => {
+      this.retries[reason] = (this.retries[reason] || 0) + 1;
+    });
+  }
+
+  /**
+   * 记录一次下载的结果，并把它传输的字节计入总数
+   * @param outcome success | skipped | failed | cancelled | interrupted
+   */
+  recordDownload(downloader, outcome) {
+    const tracker = this.active.get(downloader);
+    if (tracker) {
+      this.finishedBytes += MetricsExporter.transferredBytes(tracker);
+      this.active.delete(downloader);
+    }
+    this.downloads[outcome] = (this.downloads[outcome] || 0) + 1;
+  }
+
+  observeDuration(seconds) {
+    MetricsExporter.DURATION_BUCKETS.forEach((bound, i) => {
+      if (seconds <= bound) this.durations.buckets[i]++;
+    });
+    this.durations.sum += seconds;
+    this.durations.count++;
+  }
+
+  /**
+   * 本次运行从网络收到的字节数（不含续传前已有的数据）
+   */
+  static transferredBytes(tracker) {
+    return tracker.getWorkerStats().reduce((sum, w) => sum + w.bytes, 0);
+  }
+
+  /**
+   * 以 Prometheus 文本格式输出所有指标
+   */
+  render() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      const fullName = this.prefix + name;
+      lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`);
+      for (const [suffix, labels, value] of samples) {
+        lines.push(
+          `${fullName}${suffix}${MetricsExporter.formatLabels(labels)} ${value}`
+        );
+      }
+    };
+
+    const speeds = { current: 0, active: 0, overall: 0 };
+    let transferred = this.finishedBytes;
+    let connections = 0;
+    const files = [];
+    for (const [downloader, tracker] of this.active) {
+      const stats = tracker.getSpeedStats();
+      speeds.current += stats.current;
+      speeds.active += stats.active;
+      speeds.overall += stats.overall;
+      transferred += MetricsExporter.transferredBytes(tracker);
+      connections += stats.perWorker.filter((w) => w.status === "busy").length;
+      files.push({
+        // 同一个 key 可能同时下载到不同位置，file 区分它们
+        labels: { key: downloader.objectKey, file: downloader.getOutputPath() },
+        downloaded: tracker.getTotalDownloaded(),
+        size: downloader.fileSize,
+        eta: MetricsExporter.etaSeconds(stats.eta),
+      });
+    }
+
+    metric(
+      "downloaded_bytes_total",
+      "counter",
+      "Bytes received from the object store",
+      [["", {}, transferred]]
+    );
+    metric(
+      "download_speed_bytes",
+      "gauge",
+      "Throughput of running downloads in bytes per second (current = instantaneous, active = busy threads, overall = since start)",
+      Object.entries(speeds).map(([type, value]) => [
+        "",
+        { type },
+        Math.round(value),
+      ])
+    );
+    metric("active_downloads", "gauge", "Downloads in progress", [
+      ["", {}, this.active.size],
+    ]);
+    metric(
+      "active_connections",
+      "gauge",
+      "Range requests currently transferring",
+      [["", {}, connections]]
+    );
+    metric(
+      "download_progress_bytes",
+      "gauge",
+      "Bytes on disk for each download in progress, including resumed data",
+      files.map((file) => ["", file.labels, file.downloaded])
+    );
+    metric(
+      "download_size_bytes",
+      "gauge",
+      "Size of each download in progress",
+      files.map((file) => ["", file.labels, file.size])
+    );
+    metric(
+      "download_eta_seconds",
+      "gauge",
+      "Estimated time remaining for each download in progress (-1 = unknown)",
+      files.map((file) => ["", file.labels, file.eta])
+    );
+    metric(
+      "part_retries_total",
+      "counter",
+      "Failed part attempts that were retried, by error class",
+      Object.entries(this.retries).map(([reason, value]) => [
+        "",
+        { reason },
+        value,
+      ])
+    );
+    metric("part_duration_seconds", "histogram", "Time to download one part", [
+      ...MetricsExporter.DURATION_BUCKETS.map((bound, i) => [
+        "_bucket",
+        { le: String(bound) },
+        this.durations.buckets[i],
+      ]),
+      ["_bucket", { le: "+Inf" }, this.durations.count],
+      ["_sum", {}, this.durations.sum],
+      ["_count", {}, this.durations.count],
+    ]);
+    metric(
+      "downloads_total",
+      "counter",
+      "Finished downloads by outcome",
+      Object.entries(this.downloads).map(([outcome, value]) => [
+        "",
+        { outcome },
+        value,
+      ])
+    );
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * ProgressTracker.calculateETA() 的结果转为秒数，无法估算时为 -1
+   */
+  static etaSeconds(eta) {
+    if (typeof eta === "number") return eta;
+    return eta.method === "unknown" ? -1 : eta.eta;
+  }
+
+  static formatLabels(labels) {
+    const pairs = Object.entries(labels).map(
+      ([name, value]) =>
+        `${name}="${String(value)
+          .replace(/\\/g, "\\\\")
+          .replace(/"/g, '\\"')
+          .replace(/\n/g, "\\n")}"`
+    );
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+  }
+}
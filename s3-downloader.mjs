@@ -3,10 +3,24 @@ import {
   HeadObjectCommand,
   GetObjectCommand,
 } from "@aws-sdk/client-s3";
+import {
+  fromEnv,
+  fromIni,
+  fromNodeProviderChain,
+  fromProcess,
+  fromTemporaryCredentials,
+} from "@aws-sdk/credential-providers";
+import { spawn, spawnSync } from "child_process";
+import crypto from "crypto";
+import { EventEmitter, once } from "events";
 import fs from "fs";
-import { pipeline, PassThrough } from "stream";
+import { Duplex, pipeline, Readable } from "stream";
 import { promisify } from "util";
 import path from "path";
+import zlib from "zlib";
+import { ConfigLoader } from "./config.mjs";
+import { DownloadHistory } from "./history.mjs";
+import { MetricsExporter } from "./metrics.mjs";
 
 /**
  * 工具函数类 - 格式化相关功能
@@ -100,10 +114,146 @@ export class FormatUtils {
   }
 
   /**
-   * 睡眠函数
+   * 解析大小字符串，如 "16M"、"512KiB"、"1.5G"（按 1024 进制）
+   */
+  static parseSize(value) {
+    if (typeof value === "number") return value;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([kmgt]?)(i?b)?\s*$/i.exec(
+      String(value)
+    );
+    if (!match) {
+      throw new Error(`Invalid size "${value}", expected e.g. 16M or 512K`);
+    }
+    const exponent = ["", "k", "m", "g", "t"].indexOf(match[2].toLowerCase());
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, exponent));
+  }
+
+  /**
+   * 睡眠函数（传入 signal 时中止会提前返回）
+   */
+  static sleep(ms, signal = null) {
+    return new Promise((resolve) => {
+      if (signal?.aborted) return resolve();
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      // 中止时提前结束等待
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+}
+
+/**
+ * 校验和计算类 - 流式计算 MD5/SHA/CRC32C 及分片 ETag
+ */
+export class ChecksumCalculator {
+  static CRC32C_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let crc = i;
+      for (let k = 0; k < 8; k++) {
+        crc = crc & 1 ? (crc >>> 1) ^ 0x82f63b78 : crc >>> 1;
+      }
+      table[i] = crc;
+    }
+    return table;
+  })();
+
+  /**
+   * @param algorithms 需要计算的算法，如 ["md5", "sha256", "crc32c"]
+   * @param multipartPartSize 计算分片 ETag 时的分片大小（0 表示不计算）
+   */
+  constructor(algorithms = [], multipartPartSize = 0) {
+    this.hashes = {};
+    this.crc32c = null;
+    for (const algorithm of algorithms) {
+      if (algorithm === "crc32c") {
+        this.crc32c = 0xffffffff;
+      } else {
+        this.hashes[algorithm] = crypto.createHash(algorithm);
+      }
+    }
+
+    this.multipartPartSize = multipartPartSize;
+    this.multipartDigests = [];
+    this.currentPartHash =
+      multipartPartSize > 0 ? crypto.createHash("md5") : null;
+    this.currentPartBytes = 0;
+  }
+
+  update(chunk) {
+    for (const hash of Object.values(this.hashes)) {
+      hash.update(chunk);
+    }
+
+    if (this.crc32c !== null) {
+      const table = ChecksumCalculator.CRC32C_TABLE;
+      let crc = this.crc32c;
+      for (let i = 0; i < chunk.length; i++) {
+        crc = table[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+      }
+      this.crc32c = crc;
+    }
+
+    if (this.currentPartHash) {
+      this._updateMultipart(chunk);
+    }
+  }
+
+  /**
+   * 按分片大小切分数据，分别计算每个分片的 MD5
+   */
+  _updateMultipart(chunk) {
+    let offset = 0;
+    while (offset < chunk.length) {
+      const take = Math.min(
+        chunk.length - offset,
+        this.multipartPartSize - this.currentPartBytes
+      );
+      this.currentPartHash.update(chunk.subarray(offset, offset + take));
+      this.currentPartBytes += take;
+      offset += take;
+
+      if (this.currentPartBytes === this.multipartPartSize) {
+        this.multipartDigests.push(this.currentPartHash.digest());
+        this.currentPartHash = crypto.createHash("md5");
+        this.currentPartBytes = 0;
+      }
+    }
+  }
+
+  /**
+   * 返回各算法的摘要（Buffer），分片 ETag 为字符串
    */
-  static sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  digest() {
+    const digests = {};
+    for (const [algorithm, hash] of Object.entries(this.hashes)) {
+      digests[algorithm] = hash.digest();
+    }
+
+    if (this.crc32c !== null) {
+      const crc = Buffer.alloc(4);
+      crc.writeUInt32BE((this.crc32c ^ 0xffffffff) >>> 0);
+      digests.crc32c = crc;
+    }
+
+    if (this.currentPartHash) {
+      if (this.currentPartBytes > 0) {
+        this.multipartDigests.push(this.currentPartHash.digest());
+      }
+      const combined = crypto
+        .createHash("md5")
+        .update(Buffer.concat(this.multipartDigests))
+        .digest("hex");
+      digests.multipartETag = `${combined}-${this.multipartDigests.length}`;
+    }
+
+    return digests;
   }
 }
 
@@ -111,74 +261,565 @@ export class FormatUtils {
  * 文件完整性验证类
  */
 export class FileIntegrityChecker {
-  constructor(expectedSize) {
+  /**
+   * @param expectedSize 期望的文件大小
+   * @param expectedChecksums 期望的校验和：
+   *   { etag, multipartPartSize, sha256, crc32c, hash: { algorithm, value } }
+   *   sha256/crc32c 为 HeadObject 返回的 base64 值，hash.value 可为 hex 或 base64
+   */
+  constructor(expectedSize, expectedChecksums = {}) {
     this.expectedSize = expectedSize;
+    this.expectedChecksums = expectedChecksums;
+  }
+
+  /**
+   * 解析 "sha256:<hex>" 形式的期望哈希，算法需为 crc32c 或 crypto.getHashes() 中的一种
+   */
+  static parseExpectedHash(expectedHash) {
+    if (!expectedHash) return null;
+    let hash;
+    if (typeof expectedHash === "object") {
+      hash = {
+        algorithm: String(expectedHash.algorithm || "").toLowerCase(),
+        value: expectedHash.value,
+      };
+    } else {
+      const separator = expectedHash.indexOf(":");
+      if (separator <= 0) {
+        throw new Error(
+          `Invalid expected hash "${expectedHash}", expected "<algorithm>:<value>"`
+        );
+      }
+      hash = {
+        algorithm: expectedHash.slice(0, separator).toLowerCase(),
+        value: expectedHash.slice(separator + 1),
+      };
+    }
+
+    if (
+      hash.algorithm !== "crc32c" &&
+      !crypto.getHashes().includes(hash.algorithm)
+    ) {
+      throw new Error(
+        `Unsupported hash algorithm "${hash.algorithm}" in expected hash, use crc32c or a crypto.getHashes() name such as md5, sha1, sha256, sha512`
+      );
+    }
+    if (typeof hash.value !== "string" || !hash.value) {
+      throw new Error(
+        `Invalid expected hash: missing the ${hash.algorithm} value`
+      );
+    }
+    return hash;
+  }
+
+  /**
+   * 解析 ETag，返回 MD5 与分片数（非 MD5 格式时返回 null）
+   */
+  static parseETag(etag) {
+    const match = /^"?([0-9a-f]{32})(?:-(\d+))?"?$/i.exec(etag || "");
+    if (!match) return null;
+    return {
+      md5: match[1].toLowerCase(),
+      parts: match[2] ? parseInt(match[2], 10) : 0,
+    };
+  }
+
+  /**
+   * 比较摘要与 hex 或 base64 编码的期望值
+   */
+  static digestMatches(digest, expected) {
+    const value = String(expected).trim();
+    if (/^[0-9a-f]+$/i.test(value) && value.length === digest.length * 2) {
+      return digest.toString("hex") === value.toLowerCase();
+    }
+    return digest.toString("base64") === value;
+  }
+
+  /**
+   * 列出需要校验的项目
+   */
+  getChecks() {
+    const { etag, multipartPartSize, sha256, crc32c, hash } =
+      this.expectedChecksums;
+    const checks = [];
+
+    // 多段 ETag 只有在按第一个分片大小推算出的分片数与 -N 一致时才能复算
+    const parsedETag = FileIntegrityChecker.parseETag(etag);
+    if (parsedETag && parsedETag.parts === 0) {
+      checks.push({
+        name: "ETag (MD5)",
+        algorithm: "md5",
+        expected: parsedETag.md5,
+      });
+    } else if (
+      parsedETag &&
+      multipartPartSize > 0 &&
+      Math.ceil(this.expectedSize / multipartPartSize) === parsedETag.parts
+    ) {
+      checks.push({
+        name: "ETag (multipart)",
+        algorithm: "multipartETag",
+        expected: `${parsedETag.md5}-${parsedETag.parts}`,
+      });
+    }
+
+    // 分片上传的组合校验和（带 -N 后缀）无法从整个文件计算
+    if (sha256 && !sha256.includes("-")) {
+      checks.push({ name: "SHA-256", algorithm: "sha256", expected: sha256 });
+    }
+    if (crc32c && !crc32c.includes("-")) {
+      checks.push({ name: "CRC32C", algorithm: "crc32c", expected: crc32c });
+    }
+    if (hash) {
+      checks.push({
+        name: `expected ${hash.algorithm}`,
+        algorithm: hash.algorithm,
+        expected: hash.value,
+      });
+    }
+
+    return checks;
+  }
+
+  /**
+   * 创建用于流式计算的校验和计算器
+   */
+  createCalculator() {
+    const algorithms = new Set(
+      this.getChecks()
+        .map((check) => check.algorithm)
+        .filter((algorithm) => algorithm !== "multipartETag")
+    );
+    const multipartPartSize = this.getChecks().some(
+      (check) => check.algorithm === "multipartETag"
+    )
+      ? this.expectedChecksums.multipartPartSize
+      : 0;
+    return new ChecksumCalculator([...algorithms], multipartPartSize);
+  }
+
+  /**
+   * @param filepath 文件路径
+   * @param digests ChecksumCalculator.digest() 的结果（可选）
+   */
+  verify(filepath, digests = null) {
+    if (!fs.existsSync(filepath)) {
+      return {
+        exists: false,
+        sizeMatch: false,
+        actualSize: 0,
+        checksumMatch: true,
+        checksums: [],
+        errors: ["File does not exist"],
+      };
+    }
+
+    try {
+      return this.verifyDigests(fs.statSync(filepath).size, digests);
+    } catch (error) {
+      return {
+        exists: true,
+        sizeMatch: false,
+        actualSize: 0,
+        checksumMatch: true,
+        checksums: [],
+        errors: [`Verification error: ${error.message}`],
+      };
+    }
   }
 
-  verify(filepath) {
+  /**
+   * 按已知的大小与摘要校验（用于不落盘的数据流）
+   * @param actualSize 实际字节数
+   * @param digests ChecksumCalculator.digest() 的结果（可选）
+   */
+  verifyDigests(actualSize, digests = null) {
     const results = {
-      exists: false,
-      sizeMatch: false,
-      actualSize: 0,
+      exists: true,
+      sizeMatch: actualSize === this.expectedSize,
+      actualSize,
+      checksumMatch: true,
+      checksums: [],
       errors: [],
     };
 
-    try {
-      if (!fs.existsSync(filepath)) {
-        results.errors.push("File does not exist");
-        return results;
+    if (!results.sizeMatch) {
+      const expected = FormatUtils.formatFileSize(this.expectedSize);
+      const actual = FormatUtils.formatFileSize(actualSize);
+      results.errors.push(`Size mismatch: expected ${expected}, got ${actual}`);
+    }
+
+    if (digests) {
+      for (const check of this.getChecks()) {
+        const digest = digests[check.algorithm];
+        const match =
+          check.algorithm === "multipartETag"
+            ? digest === check.expected
+            : FileIntegrityChecker.digestMatches(digest, check.expected);
+        const actualValue =
+          typeof digest === "string" ? digest : digest.toString("hex");
+
+        results.checksums.push({ ...check, actual: actualValue, match });
+        if (!match) {
+          results.checksumMatch = false;
+          results.errors.push(
+            `${check.name} mismatch: expected ${check.expected}, got ${actualValue}`
+          );
+        }
       }
-      results.exists = true;
+    }
+
+    return results;
+  }
+}
 
-      const stats = fs.statSync(filepath);
-      results.actualSize = stats.size;
-      results.sizeMatch = stats.size === this.expectedSize;
+/**
+ * 解压工具类 - 按扩展名识别压缩格式并创建流式解压器
+ */
+export class Decompressor {
+  // zlib 中没有的格式使用系统命令（zstd -dc、bzip2 -dc）解压
+  static FORMATS = {
+    gzip: { extensions: [".gz", ".gzip"], zlib: "createGunzip" },
+    zstd: {
+      extensions: [".zst", ".zstd"],
+      zlib: "createZstdDecompress",
+      command: "zstd",
+    },
+    bzip2: { extensions: [".bz2"], command: "bzip2" },
+  };
+
+  static commandCache = new Map();
 
-      if (!results.sizeMatch) {
-        const expected = FormatUtils.formatFileSize(this.expectedSize);
-        const actual = FormatUtils.formatFileSize(results.actualSize);
-        results.errors.push(
-          `Size mismatch: expected ${expected}, got ${actual}`
-        );
+  /**
+   * 根据文件名识别压缩格式，无法识别时返回 null
+   */
+  static detect(fileName) {
+    const lower = fileName.toLowerCase();
+    for (const [format, { extensions }] of Object.entries(
+      Decompressor.FORMATS
+    )) {
+      if (extensions.some((extension) => lower.endsWith(extension))) {
+        return format;
       }
-    } catch (error) {
-      results.errors.push(`Verification error: ${error.message}`);
     }
+    return null;
+  }
 
-    return results;
+  /**
+   * 去掉压缩扩展名，如 2025-06-10.csv.gz → 2025-06-10.csv
+   */
+  static stripExtension(fileName, format) {
+    const lower = fileName.toLowerCase();
+    const extension = Decompressor.FORMATS[format].extensions.find((ext) =>
+      lower.endsWith(ext)
+    );
+    return extension
+      ? fileName.slice(0, -extension.length)
+      : `${fileName}.decompressed`;
+  }
+
+  /**
+   * 当前环境是否支持该格式（zlib 或系统命令）
+   */
+  static isAvailable(format) {
+    const spec = Decompressor.FORMATS[format];
+    if (!spec) return false;
+    if (spec.zlib && typeof zlib[spec.zlib] === "function") return true;
+    if (!spec.command) return false;
+
+    if (!Decompressor.commandCache.has(spec.command)) {
+      const result = spawnSync(spec.command, ["--help"], {
+        stdio: "ignore",
+        timeout: 5000,
+      });
+      Decompressor.commandCache.set(spec.command, !result.error);
+    }
+    return Decompressor.commandCache.get(spec.command);
+  }
+
+  /**
+   * 创建解压流（Duplex：写入压缩数据，读出解压数据）
+   */
+  static createStream(format) {
+    const spec = Decompressor.FORMATS[format];
+    if (!spec) {
+      throw new Error(
+        `Unsupported compression format "${format}", expected one of: ${Object.keys(
+          Decompressor.FORMATS
+        ).join(", ")}`
+      );
+    }
+    if (spec.zlib && typeof zlib[spec.zlib] === "function") {
+      return zlib[spec.zlib]();
+    }
+    if (!Decompressor.isAvailable(format)) {
+      throw new Error(
+        `${format} decompression is not available: zlib has no support and "${spec.command}" was not found in PATH`
+      );
+    }
+
+    const child = spawn(spec.command, ["-dc"], {
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const stream = Duplex.from({
+      writable: child.stdin,
+      readable: child.stdout,
+    });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", (error) => stream.destroy(error));
+    child.on("close", (code) => {
+      if (code !== 0) {
+        stream.destroy(
+          new Error(
+            `${spec.command} exited with code ${code}: ${stderr.trim()}`
+          )
+        );
+      }
+    });
+    // 下游出错时结束子进程
+    stream.on("close", () => child.exitCode === null && child.kill());
+    return stream;
   }
 }
 
 /**
- * 日志管理类
+ * 日志管理类 - 按级别过滤，文本或 JSON Lines 格式写入日志文件，可按大小轮转，
+ * 也可以把日志转发给注入的 logger（pino / winston 等）
  */
 export class Logger {
-  constructor(logFilePath) {
-    this.logFilePath = logFilePath;
-    this.logStream = fs.createWriteStream(logFilePath, { flags: "a" });
+  static LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity,
+  };
+
+  static CONSOLE = {
+    info: (message) => console.log(message),
+    error: (message) => console.error(message),
+  };
+
+  // 标准输出用于传输数据时，所有日志写到 stderr
+  static STDERR = {
+    info: (message) => console.error(message),
+    error: (message) => console.error(message),
+  };
+
+  // silent 进度模式：不输出到控制台，日志文件和注入的 logger 照常写入
+  static SILENT = {
+    info: () => {},
+    error: () => {},
+  };
+
+  /**
+   * @param logFilePath 日志文件路径（注入 logger 时不使用）
+   * @param options.level 最低级别：debug | info | warn | error | silent (默认: debug)
+   * @param options.format 日志文件格式："text" | "json" (默认: text)
+   * @param options.maxSize 日志文件超过该大小时轮转，字节数或 "10M" 形式 (默认: 0 不轮转)
+   * @param options.maxFiles 轮转时保留的旧文件数 <file>.1 ... <file>.N (默认: 5)
+   * @param options.logger 注入的 logger，需要 debug / info / warn / error 方法，替代日志文件和控制台输出
+   *   （传入 Logger 实例请用 fromConfig()，它会创建共用日志文件的子 logger）
+   */
+  constructor(
+    logFilePath,
+    {
+      level = "debug",
+      format = "text",
+      maxSize = 0,
+      maxFiles = 5,
+      logger = null,
+    } = {}
+  ) {
+    if (!(level in Logger.LEVELS)) {
+      throw new Error(
+        `Invalid log level "${level}", expected ${Object.keys(
+          Logger.LEVELS
+        ).join(", ")}`
+      );
+    }
+    if (!["text", "json"].includes(format)) {
+      throw new Error(`Invalid log format "${format}", expected text or json`);
+    }
+    this.level = level;
+    this.format = format;
+    this.maxSize = FormatUtils.parseSize(maxSize || 0);
+    this.maxFiles = maxFiles;
+    this.external = logger;
+    this.logFilePath = logger ? null : logFilePath;
+    this.logStream = null;
+    this.bytesWritten = 0;
+    this.console = Logger.CONSOLE;
+    this.parent = null;
+    if (this.logFilePath) {
+      this.open();
+    }
+  }
+
+  /**
+   * 根据下载器 / 上传器配置中的 logLevel、logFormat、logMaxSize、logMaxFiles、logger 创建
+   */
+  static fromConfig(logFilePath, config = {}) {
+    // 传入 Logger 实例时共用它的日志文件（如批量下载、守护进程中的每个文件）
+    if (config.logger instanceof Logger) {
+      return config.logger.child();
+    }
+    return new Logger(logFilePath, {
+      level: config.logLevel,
+      format: config.logFormat,
+      maxSize: config.logMaxSize,
+      maxFiles: config.logMaxFiles,
+      logger: config.logger,
+    });
+  }
+
+  /**
+   * 子 logger：日志写入父 logger（同一个文件流，轮转只发生在一处），
+   * 控制台输出可以单独替换，close() 不会关闭父 logger 的文件
+   */
+  child() {
+    const child = new Logger(null, {
+      level: this.level,
+      format: this.format,
+      logger: this.external,
+    });
+    child.parent = this;
+    child.logFilePath = this.logFilePath;
+    child.console = this.console;
+    return child;
+  }
+
+  /**
+   * 把字段格式化为文本日志中的 key=value
+   */
+  static formatFields(fields) {
+    const pairs = Object.entries(fields || {})
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+    return pairs.length > 0 ? ` ${pairs.join(" ")}` : "";
+  }
+
+  /**
+   * 替换控制台输出（进度渲染器用来避免日志与进度交错），传 null 恢复默认
+   */
+  setConsole(sink) {
+    this.console = sink || Logger.CONSOLE;
+  }
+
+  isLevelEnabled(level) {
+    return Logger.LEVELS[level] >= Logger.LEVELS[this.level];
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.logFilePath), { recursive: true });
+    this.bytesWritten = fs.existsSync(this.logFilePath)
+      ? fs.statSync(this.logFilePath).size
+      : 0;
+    this.logStream = fs.createWriteStream(this.logFilePath, { flags: "a" });
+  }
+
+  /**
+   * 轮转日志文件：<file> -> <file>.1 -> ... -> <file>.maxFiles，超出的删除
+   */
+  rotate() {
+    this.logStream.end();
+    // 已打开的写入流仍指向改名后的文件，未写完的内容不会丢失
+    fs.rmSync(`${this.logFilePath}.${this.maxFiles}`, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.logFilePath}.${i}`)) {
+        fs.renameSync(
+          `${this.logFilePath}.${i}`,
+          `${this.logFilePath}.${i + 1}`
+        );
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.logFilePath, `${this.logFilePath}.1`);
+    } else {
+      fs.rmSync(this.logFilePath, { force: true });
+    }
+    this.open();
   }
 
-  writeLog(message, level = "INFO") {
-    const logMessage = `[${new Date().toISOString()}] [${level}] ${message}\n`;
+  /**
+   * 写入一条日志
+   * @param fields 结构化字段，如 { part, bytes, attempt }
+   */
+  writeLog(message, level = "info", fields = {}) {
+    level = level.toLowerCase();
+    if (!this.isLevelEnabled(level)) return;
+
+    if (this.parent) {
+      this.parent.writeLog(message, level, fields);
+      return;
+    }
+    if (this.external) {
+      this.writeExternal(level, message.trim(), fields);
+      return;
+    }
+
+    // 关闭后再次写入时重新打开，便于同一实例下载多个文件
+    if (!this.logStream || this.logStream.writableEnded) {
+      this.open();
+    }
+    const time = new Date().toISOString();
+    const logMessage =
+      this.format === "json"
+        ? JSON.stringify({ time, level, msg: message.trim(), ...fields }) + "\n"
+        : `[${time}] [${level.toUpperCase()}] ${message}${Logger.formatFields(
+            fields
+          )}\n`;
+    const size = Buffer.byteLength(logMessage);
+    if (
+      this.maxSize > 0 &&
+      this.bytesWritten > 0 &&
+      this.bytesWritten + size > this.maxSize
+    ) {
+      this.rotate();
+    }
     this.logStream.write(logMessage);
+    this.bytesWritten += size;
+  }
+
+  /**
+   * 转发给注入的 logger：pino 风格为 (fields, message)，winston（有 transports）为 (message, fields)
+   */
+  writeExternal(level, message, fields) {
+    const method = typeof this.external[level] === "function" ? level : "info";
+    if ("transports" in this.external) {
+      this.external[method](message, fields);
+    } else if (Object.keys(fields).length > 0) {
+      this.external[method](fields, message);
+    } else {
+      this.external[method](message);
+    }
   }
 
-  info(message) {
-    console.log(message);
-    this.writeLog(message, "INFO");
+  info(message, fields) {
+    if (!this.isLevelEnabled("info")) return;
+    if (!this.external) this.console.info(message);
+    this.writeLog(message, "info", fields);
   }
 
-  error(message) {
-    console.error(message);
-    this.writeLog(message, "ERROR");
+  warn(message, fields) {
+    if (!this.isLevelEnabled("warn")) return;
+    if (!this.external) this.console.error(message);
+    this.writeLog(message, "warn", fields);
   }
 
-  debug(message) {
-    this.writeLog(message, "DEBUG");
+  error(message, fields) {
+    if (!this.isLevelEnabled("error")) return;
+    if (!this.external) this.console.error(message);
+    this.writeLog(message, "error", fields);
+  }
+
+  debug(message, fields) {
+    this.writeLog(message, "debug", fields);
   }
 
   close() {
-    this.logStream.end();
+    this.logStream?.end();
   }
 }
 
@@ -186,26 +827,46 @@ export class Logger {
  * 进度跟踪类
  */
 export class ProgressTracker {
-  constructor(concurrency, totalSize, logger) {
-    this.concurrency = concurrency;
+  /**
+   * @param partCount 分块数量（拆分时通过 addPart 增加）
+   * @param totalSize 文件总大小
+   * @param logger 日志
+   * @param workerCount 下载线程数
+   */
+  constructor(partCount, totalSize, logger, workerCount = partCount) {
+    this.partCount = partCount;
+    this.workerCount = workerCount;
     this.totalSize = totalSize;
     this.logger = logger;
     this.startTime = Date.now();
 
-    // 进度跟踪数组
-    this.downloadedPerPart = new Array(concurrency).fill(0);
-    this.partStatus = new Array(concurrency).fill("pending");
-    this.partStartTime = new Array(concurrency).fill(0);
-    this.partExpectedSizes = new Array(concurrency).fill(0);
-    this.partRetryCount = new Array(concurrency).fill(0);
-    this.partSpeeds = new Array(concurrency).fill(0);
+    // 进度跟踪数组（按分块索引）
+    this.downloadedPerPart = new Array(partCount).fill(0);
+    this.partStatus = new Array(partCount).fill("pending");
+    this.partStartTime = new Array(partCount).fill(0);
+    this.partExpectedSizes = new Array(partCount).fill(0);
+    this.partRetryCount = new Array(partCount).fill(0);
+    this.partSpeeds = new Array(partCount).fill(0);
 
     // 新增：用于更准确的速度计算
-    this.partLastUpdateTime = new Array(concurrency).fill(0);
-    this.partLastBytes = new Array(concurrency).fill(0);
-    this.partSpeedHistory = new Array(concurrency).fill().map(() => []);
+    this.partLastUpdateTime = new Array(partCount).fill(0);
+    this.partLastBytes = new Array(partCount).fill(0);
+    this.partSpeedHistory = new Array(partCount).fill().map(() => []);
     this.speedHistorySize = 10; // 保留最近10次速度记录
 
+    // 线程统计（按线程索引）
+    this.workerStats = Array.from({ length: workerCount }, (_, worker) => ({
+      worker,
+      partIndex: null,
+      chunksCompleted: 0,
+      bytes: 0,
+      busyTime: 0,
+      busySince: 0,
+    }));
+
+    // 当前的总限速（字节/秒，0 表示不限），用于 ETA 估算
+    this.rateLimit = 0;
+
     // 全局速度跟踪
     this.globalSpeedHistory = [];
     this.lastGlobalUpdateTime = Date.now();
@@ -214,6 +875,81 @@ export class ProgressTracker {
     this.progressInterval = null;
   }
 
+  /**
+   * 分块被拆分时追加新的分块，返回新分块索引
+   */
+  addPart() {
+    this.downloadedPerPart.push(0);
+    this.partStatus.push("pending");
+    this.partStartTime.push(0);
+    this.partExpectedSizes.push(0);
+    this.partRetryCount.push(0);
+    this.partSpeeds.push(0);
+    this.partLastUpdateTime.push(0);
+    this.partLastBytes.push(0);
+    this.partSpeedHistory.push([]);
+    return this.partCount++;
+  }
+
+  /**
+   * 记录线程开始处理某个分块（partIndex 为 null 表示空闲）
+   */
+  setWorkerPart(workerId, partIndex) {
+    const stats = this.workerStats[workerId];
+    if (!stats) return;
+
+    const now = Date.now();
+    if (stats.partIndex !== null) {
+      stats.busyTime += now - stats.busySince;
+    }
+    stats.partIndex = partIndex;
+    stats.busySince = now;
+  }
+
+  recordWorkerBytes(workerId, bytes) {
+    if (this.workerStats[workerId]) {
+      this.workerStats[workerId].bytes += bytes;
+    }
+  }
+
+  completeWorkerChunk(workerId) {
+    if (this.workerStats[workerId]) {
+      this.workerStats[workerId].chunksCompleted++;
+    }
+  }
+
+  /**
+   * 正在处理分块的线程数（按分块统计时，刚完成的分块仍算活跃，会超过线程数）
+   */
+  getBusyWorkerCount() {
+    const busy = this.workerStats.filter(
+      (stats) => stats.partIndex !== null
+    ).length;
+    return Math.min(busy, this.workerCount);
+  }
+
+  /**
+   * 获取每个线程的统计信息
+   */
+  getWorkerStats() {
+    const now = Date.now();
+    return this.workerStats.map((stats) => {
+      const busy = stats.partIndex !== null;
+      const busyTime =
+        (stats.busyTime + (busy ? now - stats.busySince : 0)) / 1000;
+      return {
+        worker: stats.worker,
+        status: busy ? "busy" : "idle",
+        partIndex: stats.partIndex,
+        chunksCompleted: stats.chunksCompleted,
+        bytes: stats.bytes,
+        busyTime,
+        avgSpeed: busyTime > 0 ? stats.bytes / busyTime : 0,
+        currentSpeed: busy ? this.partSpeeds[stats.partIndex] || 0 : 0,
+      };
+    });
+  }
+
   updatePartProgress(partIndex, downloaded, speed = 0) {
     const currentTime = Date.now();
     const previousDownloaded = this.downloadedPerPart[partIndex];
@@ -325,7 +1061,7 @@ export class ProgressTracker {
     let totalCurrentSpeed = 0;
     const activeSpeedData = [];
 
-    for (let i = 0; i < this.concurrency; i++) {
+    for (let i = 0; i < this.partCount; i++) {
       const lastUpdate = this.partLastUpdateTime[i];
       const isActive =
         lastUpdate > 0 && currentTime - lastUpdate < recentThreshold;
@@ -426,8 +1162,15 @@ export class ProgressTracker {
       etaMethod = "unknown";
     }
 
+    // 限速时剩余时间不会少于按限速下载剩余字节所需的时间
+    if (this.rateLimit > 0 && finalETA < remaining / this.rateLimit) {
+      finalETA = remaining / this.rateLimit;
+      etaMethod = "rate limit";
+    }
+
     return {
       eta: finalETA,
+      rateLimit: this.rateLimit,
       method: etaMethod,
       activeThreads: activeThreadsInfo.activeCount,
       activeSpeed: activeThreadsInfo.activeSpeed,
@@ -458,8 +1201,16 @@ export class ProgressTracker {
   }
 
   updateDisplay() {
-    const totalDownloaded = this.getTotalDownloaded();
-    const totalPercent =
+    process.stdout.write("\r\x1b[K");
+    process.stdout.write(this.getStatusLine());
+  }
+
+  /**
+   * 单行进度文本
+   */
+  getStatusLine() {
+    const totalDownloaded = this.getTotalDownloaded();
+    const totalPercent =
       this.totalSize > 0
         ? ((totalDownloaded / this.totalSize) * 100).toFixed(2)
         : "0.00";
@@ -475,7 +1226,7 @@ export class ProgressTracker {
       s.includes("completed")
     ).length;
     const downloading = this.partStatus.filter((s) =>
-      s.includes("downloading")
+      /downloading|uploading/.test(s)
     ).length;
     const pending = this.partStatus.filter((s) => s === "pending").length;
     const retrying = this.partStatus.filter((s) =>
@@ -491,147 +1242,2317 @@ export class ProgressTracker {
         ? `${FormatUtils.formatDuration(etaInfo.eta)} (${etaInfo.method})`
         : "calculating...";
 
-    process.stdout.write("\r\x1b[K");
-    process.stdout.write(
+    return (
       `Progress: ${totalPercent}% (${FormatUtils.formatFileSize(
         totalDownloaded,
         { compact: true }
       )}/${FormatUtils.formatFileSize(this.totalSize, { compact: true })}) | ` +
-        `Overall: ${FormatUtils.formatSpeed(overallSpeed)} | ` +
-        `Active: ${FormatUtils.formatSpeed(activeThreadsInfo.activeSpeed)} (${
-          activeThreadsInfo.activeCount
-        }/${this.concurrency} threads) | ` +
-        `Current: ${FormatUtils.formatSpeed(
-          activeThreadsInfo.totalCurrentSpeed
-        )} | ` +
-        `ETA: ${etaDisplay} | ` +
-        `Parts [✓${completed} ↓${downloading} ⏸${pending} ⟲${retrying}] | ` +
-        `Retries: ${totalRetries} (max: ${maxRetries})`
+      `Overall: ${FormatUtils.formatSpeed(overallSpeed)} | ` +
+      `Active: ${FormatUtils.formatSpeed(
+        activeThreadsInfo.activeSpeed
+      )} (${this.getBusyWorkerCount()}/${this.workerCount} threads) | ` +
+      `Current: ${FormatUtils.formatSpeed(
+        activeThreadsInfo.totalCurrentSpeed
+      )} | ` +
+      `ETA: ${etaDisplay} | ` +
+      `Parts [✓${completed} ↓${downloading} ⏸${pending} ⟲${retrying}] | ` +
+      `Retries: ${totalRetries} (max: ${maxRetries})`
+    );
+  }
+
+  startProgressDisplay() {
+    this.progressInterval = setInterval(() => this.updateDisplay(), 500);
+  }
+
+  stopProgressDisplay() {
+    if (this.progressInterval) {
+      clearInterval(this.progressInterval);
+      this.progressInterval = null;
+    }
+  }
+
+  getTotalDownloaded() {
+    return this.downloadedPerPart.reduce((a, b) => a + b, 0);
+  }
+
+  getTotalRetries() {
+    return this.partRetryCount.reduce((a, b) => a + b, 0);
+  }
+
+  getMaxRetries() {
+    return Math.max(...this.partRetryCount);
+  }
+
+  getAverageSpeed() {
+    const elapsedTime = (Date.now() - this.startTime) / 1000;
+    return elapsedTime > 0 ? this.getTotalDownloaded() / elapsedTime : 0;
+  }
+
+  getTotalTime() {
+    return (Date.now() - this.startTime) / 1000;
+  }
+
+  /**
+   * 获取详细的速度统计信息
+   */
+  getSpeedStats() {
+    const activeThreadsInfo = this.getActiveThreadsSpeed();
+    const etaInfo = this.calculateETA();
+
+    return {
+      overall: this.getAverageSpeed(),
+      active: activeThreadsInfo.activeSpeed,
+      current: activeThreadsInfo.totalCurrentSpeed,
+      global: this.getGlobalAverageSpeed(),
+      activeCount: activeThreadsInfo.activeCount,
+      eta: etaInfo,
+      perThread: activeThreadsInfo.activeThreadsDetails,
+      perWorker: this.getWorkerStats(),
+    };
+  }
+}
+
+/**
+ * 进度渲染基类 - 默认不输出任何内容（silent）
+ *
+ * 生命周期：attach(downloader) → start() → render()... → stop() → detach()
+ */
+export class ProgressRenderer {
+  /**
+   * @param options.stream 输出流（默认 process.stdout）
+   * @param options.interval 刷新间隔毫秒
+   */
+  constructor({ stream = process.stdout, interval = 500 } = {}) {
+    this.stream = stream;
+    this.interval = interval;
+    this.downloader = null;
+    this.timer = null;
+  }
+
+  /**
+   * 按名称创建渲染器："auto" 在 TTY 上使用 bars，否则使用 plain
+   */
+  static create(mode = "auto", options = {}) {
+    if (mode instanceof ProgressRenderer) return mode;
+
+    const stream = options.stream || process.stdout;
+    if (mode === "auto") {
+      mode = stream.isTTY ? "bars" : "plain";
+    }
+
+    const renderers = {
+      bars: MultiBarRenderer,
+      inline: InlineRenderer,
+      plain: PlainRenderer,
+      json: JsonLinesRenderer,
+      silent: SilentRenderer,
+    };
+    const Renderer = renderers[mode];
+    if (!Renderer) {
+      throw new Error(
+        `Invalid progress renderer "${mode}", expected one of: auto, ${Object.keys(
+          renderers
+        ).join(", ")}`
+      );
+    }
+    return new Renderer(options);
+  }
+
+  get tracker() {
+    return this.downloader?.progressTracker;
+  }
+
+  attach(downloader) {
+    this.downloader = downloader;
+  }
+
+  detach() {
+    this.stop();
+    this.downloader = null;
+  }
+
+  start() {
+    if (this.timer || !this.interval) return;
+    this.timer = setInterval(() => this.render(), this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  render() {}
+
+  /**
+   * 合并进度（parts 模式）
+   */
+  merge(done, total) {}
+
+  /**
+   * 日志的控制台输出，渲染器可以包装它以免与进度输出交错
+   */
+  wrapConsole(sink) {
+    return sink;
+  }
+}
+
+/**
+ * 不显示进度，日志也不输出到控制台（仍写入日志文件或注入的 logger）
+ */
+export class SilentRenderer extends ProgressRenderer {
+  wrapConsole() {
+    return Logger.SILENT;
+  }
+}
+
+/**
+ * 单行进度（\r 覆盖同一行）
+ */
+export class InlineRenderer extends ProgressRenderer {
+  render() {
+    if (!this.tracker) return;
+    this.stream.write("\r\x1b[K" + this.tracker.getStatusLine());
+    this.drawn = true;
+  }
+
+  stop() {
+    const running = this.timer !== null;
+    super.stop();
+    if (running) {
+      this.render();
+      this.clear(true);
+    }
+  }
+
+  merge(done, total) {
+    this.stream.write(`\r\x1b[KMerging parts: ${done}/${total}...`);
+    this.drawn = true;
+    if (done === total) this.clear(true);
+  }
+
+  clear(keep = false) {
+    if (!this.drawn) return;
+    this.stream.write(keep ? "\n" : "\r\x1b[K");
+    this.drawn = false;
+  }
+
+  wrapConsole(sink) {
+    return {
+      info: (message) => {
+        this.clear();
+        sink.info(message);
+      },
+      error: (message) => {
+        this.clear();
+        sink.error(message);
+      },
+    };
+  }
+}
+
+/**
+ * 多行 TTY 进度：总进度加每个线程一行进度条
+ */
+export class MultiBarRenderer extends InlineRenderer {
+  constructor(options = {}) {
+    super(options);
+    this.barWidth = options.barWidth || 24;
+    this.lineCount = 0;
+  }
+
+  static bar(ratio, width) {
+    const filled = Math.round(Math.min(1, Math.max(0, ratio)) * width);
+    return "█".repeat(filled) + "░".repeat(width - filled);
+  }
+
+  getLines() {
+    const tracker = this.tracker;
+    const downloaded = tracker.getTotalDownloaded();
+    const ratio = tracker.totalSize > 0 ? downloaded / tracker.totalSize : 0;
+    const eta = tracker.calculateETA();
+    const etaDisplay =
+      eta.eta > 0 && eta.eta < Infinity
+        ? FormatUtils.formatDuration(eta.eta)
+        : "--";
+    const completed = tracker.partStatus.filter((s) =>
+      s.includes("completed")
+    ).length;
+
+    const lines = [
+      `Total ${MultiBarRenderer.bar(ratio, this.barWidth)} ${(
+        ratio * 100
+      ).toFixed(1)}% ${FormatUtils.formatFileSize(downloaded, {
+        compact: true,
+      })}/${FormatUtils.formatFileSize(tracker.totalSize, {
+        compact: true,
+      })} | ${FormatUtils.formatSpeed(
+        tracker.getAverageSpeed()
+      )} | ETA ${etaDisplay} | Parts ${completed}/${tracker.partCount}`,
+    ];
+
+    // 线程数超过终端高度时只显示前面的线程
+    const workers = tracker.getWorkerStats();
+    const maxRows = Math.max(1, (this.stream.rows || 24) - 3);
+    for (const worker of workers.slice(0, maxRows)) {
+      const label = `  T${String(worker.worker + 1).padStart(2, "0")}`;
+      if (worker.partIndex === null) {
+        lines.push(`${label} idle (${worker.chunksCompleted} chunks done)`);
+        continue;
+      }
+      const idx = worker.partIndex;
+      const part = this.downloader.parts[idx];
+      // 调度器中的位置随每个数据块更新，比跟踪器的每秒采样更及时
+      const position = this.downloader.scheduler?.inFlight.get(idx);
+      const downloaded =
+        part && position !== undefined
+          ? position - part.start
+          : tracker.downloadedPerPart[idx];
+      const expected = part
+        ? part.end - part.start + 1
+        : tracker.partExpectedSizes[idx];
+      const partRatio = expected > 0 ? downloaded / expected : 0;
+      lines.push(
+        `${label} ${MultiBarRenderer.bar(partRatio, this.barWidth)} ${(
+          partRatio * 100
+        )
+          .toFixed(1)
+          .padStart(5)}% part ${idx} ${FormatUtils.formatSpeed(
+          worker.avgSpeed
+        )} ${tracker.partStatus[idx].startsWith("retrying") ? "⟲" : ""}`
+      );
+    }
+    if (workers.length > maxRows) {
+      lines.push(`  ... ${workers.length - maxRows} more threads`);
+    }
+    return lines;
+  }
+
+  render() {
+    if (!this.tracker) return;
+    const lines = this.getLines();
+    this.clear();
+    this.stream.write(lines.map((line) => line + "\x1b[K").join("\n") + "\n");
+    this.lineCount = lines.length;
+  }
+
+  clear(keep = false) {
+    if (this.lineCount === 0) return;
+    // 保留最后一次绘制的内容，或上移光标清除整块
+    if (!keep) this.stream.write(`\x1b[${this.lineCount}A\r\x1b[J`);
+    this.lineCount = 0;
+  }
+
+  merge(done, total) {
+    this.clear();
+    this.stream.write(`Merging parts: ${done}/${total}...\n`);
+    this.lineCount = 1;
+    if (done === total) this.clear(true);
+  }
+
+  wrapConsole(sink) {
+    const redraw = () => this.timer && this.render();
+    return {
+      info: (message) => {
+        this.clear();
+        sink.info(message);
+        redraw();
+      },
+      error: (message) => {
+        this.clear();
+        sink.error(message);
+        redraw();
+      },
+    };
+  }
+}
+
+/**
+ * 普通行输出：适用于 CI / cron 等非 TTY 环境，定期输出完整的一行
+ */
+export class PlainRenderer extends ProgressRenderer {
+  constructor(options = {}) {
+    super({ interval: 10000, ...options });
+  }
+
+  render() {
+    if (!this.tracker) return;
+    this.stream.write(
+      `[${new Date().toISOString()}] ${this.tracker.getStatusLine()}\n`
+    );
+  }
+
+  stop() {
+    const running = this.timer !== null;
+    super.stop();
+    if (running) this.render();
+  }
+}
+
+/**
+ * JSON Lines 输出：每行一个 JSON 对象，包括定期的进度快照和生命周期事件
+ * 日志改为输出到 stderr，保证 stdout 只有 JSON
+ */
+export class JsonLinesRenderer extends ProgressRenderer {
+  static EVENTS = [
+    "start",
+    "part:complete",
+    "part:retry",
+    "merge:start",
+    "verify",
+    "complete",
+    "error",
+  ];
+
+  constructor(options = {}) {
+    super({ interval: 1000, ...options });
+    this.listeners = [];
+  }
+
+  write(type, data = {}) {
+    this.stream.write(
+      JSON.stringify(
+        {
+          type,
+          time: new Date().toISOString(),
+          objectKey: this.downloader?.objectKey,
+          ...data,
+        },
+        (key, value) =>
+          value instanceof Error
+            ? {
+                message: value.message,
+                reason: value.reason,
+                code: value.code,
+              }
+            : value
+      ) + "\n"
+    );
+  }
+
+  attach(downloader) {
+    super.attach(downloader);
+    for (const event of JsonLinesRenderer.EVENTS) {
+      const listener = (data) =>
+        this.write(event, event === "error" ? { error: data } : data);
+      downloader.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+  }
+
+  detach() {
+    for (const [event, listener] of this.listeners) {
+      this.downloader?.off(event, listener);
+    }
+    this.listeners = [];
+    super.detach();
+  }
+
+  render() {
+    if (!this.downloader?.progressTracker) return;
+    this.write("progress", this.downloader.getProgressSnapshot());
+  }
+
+  stop() {
+    const running = this.timer !== null;
+    super.stop();
+    if (running) this.render();
+  }
+
+  wrapConsole(sink) {
+    if (this.stream !== process.stdout) return sink;
+    return {
+      info: (message) => process.stderr.write(message + "\n"),
+      error: sink.error,
+    };
+  }
+}
+
+/**
+ * 简单的任务队列 - 限制同时运行的任务数
+ */
+export class JobQueue {
+  constructor(concurrency = 1) {
+    this.concurrency = Math.max(1, concurrency);
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * 添加任务，返回任务结果的 Promise
+   */
+  add(task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ task, resolve, reject });
+      this._next();
+    });
+  }
+
+  _next() {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      const { task, resolve, reject } = this.waiting.shift();
+      this.running++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.running--;
+          this._next();
+        });
+    }
+  }
+}
+
+/**
+ * 断点续传清单类 - 记录对象信息与分片范围，用于校验已有分片
+ */
+export class ResumeManifest {
+  static VERSION = 1;
+
+  constructor(filePath, data = null) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  /**
+   * 读取清单文件，不存在或无法解析时返回 null
+   */
+  static load(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) return null;
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (
+        data.version !== ResumeManifest.VERSION ||
+        !Array.isArray(data.parts)
+      ) {
+        return null;
+      }
+      return new ResumeManifest(filePath, data);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 根据对象信息和分片范围创建新清单
+   */
+  static create(
+    filePath,
+    { bucketName, objectKey, versionId, objectInfo, writeMode, parts }
+  ) {
+    const now = new Date().toISOString();
+    return new ResumeManifest(filePath, {
+      version: ResumeManifest.VERSION,
+      bucketName,
+      objectKey,
+      versionId: versionId || null,
+      writeMode,
+      size: objectInfo.size,
+      etag: objectInfo.etag || null,
+      lastModified: objectInfo.lastModified
+        ? new Date(objectInfo.lastModified).toISOString()
+        : null,
+      createdAt: now,
+      updatedAt: now,
+      parts: parts.map(({ index, start, end }) => ({
+        index,
+        start,
+        end,
+        downloaded: 0,
+      })),
+    });
+  }
+
+  get parts() {
+    return this.data.parts;
+  }
+
+  /**
+   * 检查清单是否对应同一个远程对象，返回不匹配的原因（匹配时返回 null）
+   */
+  getMismatchReason({
+    bucketName,
+    objectKey,
+    versionId,
+    objectInfo,
+    writeMode,
+  }) {
+    const lastModified = objectInfo.lastModified
+      ? new Date(objectInfo.lastModified).toISOString()
+      : null;
+
+    if (
+      this.data.bucketName !== bucketName ||
+      this.data.objectKey !== objectKey
+    ) {
+      return `manifest is for ${this.data.bucketName}/${this.data.objectKey}`;
+    }
+    if ((this.data.versionId || null) !== (versionId || null)) {
+      return `version changed (${this.data.versionId} -> ${versionId})`;
+    }
+    const manifestWriteMode = this.data.writeMode || "parts";
+    if (manifestWriteMode !== writeMode) {
+      return `write mode changed (${manifestWriteMode} -> ${writeMode})`;
+    }
+    if (this.data.size !== objectInfo.size) {
+      return `size changed (${this.data.size} -> ${objectInfo.size})`;
+    }
+    if ((this.data.etag || null) !== (objectInfo.etag || null)) {
+      return `ETag changed (${this.data.etag} -> ${objectInfo.etag})`;
+    }
+    if (this.data.lastModified !== lastModified) {
+      return `LastModified changed (${this.data.lastModified} -> ${lastModified})`;
+    }
+
+    // 分块必须连续覆盖整个对象（拆分出的分块追加在末尾，按起始位置检查）
+    let expectedStart = 0;
+    const ordered = [...this.data.parts].sort((a, b) => a.start - b.start);
+    for (const part of ordered) {
+      if (part.start !== expectedStart || part.end < part.start) {
+        return "part ranges are inconsistent";
+      }
+      expectedStart = part.end + 1;
+    }
+    if (expectedStart !== objectInfo.size) {
+      return "part ranges do not cover the object";
+    }
+
+    return null;
+  }
+
+  setPartDownloaded(index, downloaded) {
+    const part = this.data.parts.find((p) => p.index === index);
+    if (part) part.downloaded = downloaded;
+  }
+
+  /**
+   * 原子写入清单（先写临时文件再重命名）
+   */
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  remove() {
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+
+  /**
+   * 扫描目录（含子目录）中未完成的下载
+   * 只有存在 <文件名>.manifest.json 的临时文件才算作本工具创建的，其他文件不会被删除
+   * @returns { incomplete, orphans, unknown }：incomplete 为有清单、可续传的下载，
+   *   orphans 为无法续传的文件（清单无法解析，或不在清单中的旧分片），
+   *   unknown 为名称像临时文件但没有清单的文件（可能属于其他程序）
+   */
+  static scan(dir) {
+    const incomplete = [];
+    const orphans = [];
+    const unknown = [];
+    if (!fs.existsSync(dir)) return { incomplete, orphans, unknown };
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        const nested = ResumeManifest.scan(path.join(dir, entry.name));
+        incomplete.push(...nested.incomplete);
+        orphans.push(...nested.orphans);
+        unknown.push(...nested.unknown);
+      }
+    }
+
+    const names = fs.readdirSync(dir);
+    const tempFiles = new Set(
+      names.filter((name) => /\.(part\d+|download)$/.test(name))
     );
+    // 取出属于 fileName 的临时文件
+    const takeTempFiles = (fileName) => {
+      const owned = [...tempFiles].filter(
+        (name) =>
+          name === `${fileName}.download` ||
+          (name.startsWith(`${fileName}.part`) &&
+            /^\d+$/.test(name.slice(`${fileName}.part`.length)))
+      );
+      owned.forEach((name) => tempFiles.delete(name));
+      return owned.map((name) => path.join(dir, name));
+    };
+
+    for (const name of names) {
+      if (!name.endsWith(".manifest.json")) continue;
+      const manifestPath = path.join(dir, name);
+      const fileName = name.slice(0, -".manifest.json".length);
+      const manifest = ResumeManifest.load(manifestPath);
+      if (!manifest) {
+        orphans.push(manifestPath, ...takeTempFiles(fileName));
+        continue;
+      }
+
+      const files = [];
+      let downloaded = 0;
+      for (const part of manifest.parts) {
+        const partFile = `${fileName}.part${part.index}`;
+        if (manifest.data.writeMode === "direct") {
+          downloaded += part.downloaded;
+        } else if (tempFiles.has(partFile)) {
+          downloaded += Math.min(
+            fs.statSync(path.join(dir, partFile)).size,
+            part.end - part.start + 1
+          );
+        }
+        if (tempFiles.delete(partFile)) files.push(path.join(dir, partFile));
+      }
+      if (tempFiles.delete(`${fileName}.download`)) {
+        files.push(path.join(dir, `${fileName}.download`));
+      }
+      // 重新分块前留下的分片
+      orphans.push(...takeTempFiles(fileName));
+
+      incomplete.push({
+        fileName,
+        dir,
+        manifestPath,
+        bucketName: manifest.data.bucketName,
+        objectKey: manifest.data.objectKey,
+        size: manifest.data.size,
+        downloaded,
+        writeMode: manifest.data.writeMode || "parts",
+        updatedAt: manifest.data.updatedAt,
+        files,
+      });
+    }
+    unknown.push(...[...tempFiles].map((name) => path.join(dir, name)));
+
+    return { incomplete, orphans, unknown };
+  }
+
+  /**
+   * 删除无法续传的临时文件（不含 unknown）；指定 olderThan 时同时删除超过该时长（毫秒）未更新的未完成下载
+   * @returns 删除（dryRun 时为将要删除）的文件列表
+   */
+  static clean(dir, { olderThan = 0, dryRun = false } = {}) {
+    const { incomplete, orphans } = ResumeManifest.scan(dir);
+    const files = [...orphans];
+    if (olderThan > 0) {
+      for (const download of incomplete) {
+        if (Date.now() - new Date(download.updatedAt).getTime() > olderThan) {
+          files.push(download.manifestPath, ...download.files);
+        }
+      }
+    }
+    if (!dryRun) {
+      for (const file of files) fs.rmSync(file, { force: true });
+    }
+    return files;
+  }
+}
+
+/**
+ * 分块调度类 - 从队列分发分块，队列为空时拆分剩余字节最多的下载中分块
+ */
+export class ChunkScheduler {
+  /**
+   * @param parts 分块数组（拆分出的新分块会追加到该数组）
+   * @param options.minSplitSize 拆分后每一半的最小字节数
+   * @param options.onSplit 拆分回调 (originalPart, newPart)
+   */
+  constructor(parts, { minSplitSize = 1024 * 1024, onSplit = null } = {}) {
+    this.parts = parts;
+    this.minSplitSize = minSplitSize;
+    this.onSplit = onSplit;
+    this.pending = [...parts].sort((a, b) => a.start - b.start);
+    // 下载中的分块：index -> 下一个待接收字节的绝对位置
+    this.inFlight = new Map();
+  }
+
+  get pendingCount() {
+    return this.pending.length;
+  }
+
+  /**
+   * 获取下一个要下载的分块，没有可分配的工作时返回 null
+   */
+  next() {
+    const part = this.pending.shift();
+    if (part) {
+      this.inFlight.set(part.index, part.start + (part.downloaded || 0));
+      return part;
+    }
+    return this._splitLargest();
+  }
+
+  updatePosition(index, position) {
+    if (this.inFlight.has(index)) {
+      this.inFlight.set(index, position);
+    }
+  }
+
+  complete(index) {
+    this.inFlight.delete(index);
+  }
+
+  /**
+   * 将剩余字节最多的下载中分块一分为二，后一半作为新分块返回
+   */
+  _splitLargest() {
+    let target = null;
+    let targetPosition = 0;
+    let targetRemaining = 0;
+
+    for (const [index, position] of this.inFlight) {
+      const part = this.parts[index];
+      const remaining = part.end - position + 1;
+      if (remaining > targetRemaining) {
+        target = part;
+        targetPosition = position;
+        targetRemaining = remaining;
+      }
+    }
+
+    if (!target || targetRemaining < this.minSplitSize * 2) {
+      return null;
+    }
+
+    const splitAt = targetPosition + Math.ceil(targetRemaining / 2);
+    const newPart = {
+      index: this.parts.length,
+      start: splitAt,
+      end: target.end,
+      downloaded: 0,
+    };
+    target.end = splitAt - 1;
+    this.parts.push(newPart);
+    this.inFlight.set(newPart.index, newPart.start);
+
+    if (this.onSplit) {
+      this.onSplit(target, newPart);
+    }
+    return newPart;
+  }
+}
+
+/**
+ * 有序范围读取流 - 并行获取多个范围，通过有界的重排序缓冲区按顺序输出
+ */
+export class RangeReadStream extends Readable {
+  /**
+   * @param options.open 打开时调用，返回对象大小：async (signal) => size
+   * @param options.fetchRange 获取一个范围的数据：async (start, end, signal) => Buffer
+   * @param options.onData 每块按顺序输出的数据（用于计算校验和）
+   * @param options.onEnd 全部输出后、结束前调用，抛出错误时流以该错误结束
+   * @param options.chunkSize 每个范围的大小
+   * @param options.window 重排序缓冲区上限（下载中与等待输出的范围总字节数）
+   * @param options.concurrency 同时请求的范围数
+   */
+  constructor({
+    open,
+    fetchRange,
+    onData = null,
+    onEnd = null,
+    chunkSize,
+    window,
+    concurrency,
+  }) {
+    super();
+    this.open = open;
+    this.fetchRange = fetchRange;
+    this.onData = onData;
+    this.onEnd = onEnd;
+    this.chunkSize = chunkSize;
+    this.concurrency = concurrency;
+    // 已发起但未输出的范围数上限，保证内存占用不超过 window
+    this.maxAhead = Math.max(1, Math.floor(window / chunkSize));
+
+    this.size = 0;
+    this.rangeCount = 0;
+    this.nextFetch = 0;
+    this.nextEmit = 0;
+    this.inFlight = 0;
+    this.ready = new Map();
+    this.wantsData = false;
+    this.ended = false;
+    this.controller = new AbortController();
+  }
+
+  _construct(callback) {
+    this.open(this.controller.signal).then((size) => {
+      this.size = size;
+      this.rangeCount = Math.ceil(size / this.chunkSize);
+      callback();
+    }, callback);
+  }
+
+  _read() {
+    this.wantsData = true;
+    this._flush();
+  }
+
+  /**
+   * 按顺序输出已就绪的范围，然后补充请求
+   */
+  _flush() {
+    if (this.ended || this.destroyed) return;
+
+    while (this.wantsData && this.ready.has(this.nextEmit)) {
+      const buffer = this.ready.get(this.nextEmit);
+      this.ready.delete(this.nextEmit);
+      this.nextEmit++;
+      this.onData?.(buffer);
+      this.wantsData = this.push(buffer);
+    }
+
+    if (this.nextEmit === this.rangeCount) {
+      this.ended = true;
+      try {
+        this.onEnd?.();
+      } catch (error) {
+        this.destroy(error);
+        return;
+      }
+      this.push(null);
+      return;
+    }
+
+    while (
+      this.inFlight < this.concurrency &&
+      this.nextFetch < this.rangeCount &&
+      this.nextFetch - this.nextEmit < this.maxAhead
+    ) {
+      const index = this.nextFetch++;
+      const start = index * this.chunkSize;
+      const end = Math.min(start + this.chunkSize, this.size) - 1;
+      this.inFlight++;
+      this.fetchRange(start, end, this.controller.signal).then(
+        (buffer) => {
+          this.inFlight--;
+          this.ready.set(index, buffer);
+          this._flush();
+        },
+        (error) => this.destroy(error)
+      );
+    }
+  }
+
+  _destroy(error, callback) {
+    // 中止仍在进行的范围请求
+    this.controller.abort(error || new Error("Stream destroyed"));
+    this.ready.clear();
+    callback(error);
+  }
+}
+
+/**
+ * 令牌桶 - 限制字节速率，多个分块共享同一个桶时按总速率限制
+ */
+export class TokenBucket {
+  /**
+   * @param rate 每秒字节数，0 表示不限速
+   * @param burst 桶容量（默认等于一秒的速率）
+   */
+  constructor(rate = 0, burst = 0) {
+    this.burst = burst;
+    this.setRate(rate);
+  }
+
+  setRate(rate) {
+    this.rate = rate > 0 ? rate : 0;
+    this.capacity = this.burst || this.rate;
+    // 调整速率时清空欠账，让等待中的请求按新速率继续
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + ((now - this.lastRefill) / 1000) * this.rate
+    );
+    this.lastRefill = now;
+  }
+
+  /**
+   * 取出 bytes 个令牌，不足时等待；允许欠账，后来的请求排在后面等待
+   */
+  async take(bytes, signal = null) {
+    if (!this.rate) return;
+    this.refill();
+    this.tokens -= bytes;
+
+    // 分段等待，以便速率调整或中止后尽快生效
+    while (this.rate && this.tokens < 0 && !signal?.aborted) {
+      const wait = Math.min(200, (-this.tokens / this.rate) * 1000);
+      await FormatUtils.sleep(Math.max(1, Math.ceil(wait)), signal);
+      this.refill();
+    }
+  }
+}
+
+/**
+ * 带宽限制类 - 全局令牌桶 + 每个连接的令牌桶，支持按时间段切换全局限速
+ */
+export class BandwidthLimiter {
+  /**
+   * @param options.limit 全局限速（字节/秒或 "10M" 形式，0 表示不限）
+   * @param options.perConnection 每个连接的限速
+   * @param options.schedule 时间段限速 [{ from: "22:00", to: "06:00", limit: 0 }]，
+   *   当前时间落在某个时间段内时使用该时间段的 limit
+   */
+  constructor({ limit = 0, perConnection = 0, schedule = [] } = {}) {
+    this.baseLimit = BandwidthLimiter.parseRate(limit);
+    this.perConnection = BandwidthLimiter.parseRate(perConnection);
+    this.schedule = schedule.map((window) => ({
+      from: BandwidthLimiter.parseTime(window.from),
+      to: BandwidthLimiter.parseTime(window.to),
+      limit: BandwidthLimiter.parseRate(window.limit),
+    }));
+    this.global = new TokenBucket(this.getCurrentLimit());
+    this.connections = new Set();
+    this.lastScheduleCheck = Date.now();
+  }
+
+  /**
+   * 解析速率：数字为字节/秒，字符串支持 "10M"、"512K/s"，0 / "unlimited" 表示不限
+   */
+  static parseRate(value) {
+    if (value === undefined || value === null || value === "") return 0;
+    if (typeof value === "string") {
+      const text = value.trim().replace(/\/s$/i, "");
+      if (/^(unlimited|none|off)$/i.test(text)) return 0;
+      return FormatUtils.parseSize(text);
+    }
+    return value;
+  }
+
+  /**
+   * 解析 "HH:MM" 为当天的分钟数
+   */
+  static parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    // 24:00 表示当天结束，其他时间的小时不能超过 23
+    const minutes = match ? +match[1] * 60 + +match[2] : NaN;
+    if (!match || +match[2] > 59 || minutes > 24 * 60) {
+      throw new Error(`Invalid schedule time "${value}", expected HH:MM`);
+    }
+    return minutes;
+  }
+
+  get enabled() {
+    return (
+      this.baseLimit > 0 || this.perConnection > 0 || this.schedule.length > 0
+    );
+  }
+
+  /**
+   * 当前生效的全局限速（时间段可以跨越午夜）
+   */
+  getCurrentLimit(date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const window = this.schedule.find(({ from, to }) =>
+      from <= to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to
+    );
+    return window ? window.limit : this.baseLimit;
+  }
+
+  /**
+   * 运行时调整限速，未传入的项保持不变
+   */
+  setLimit({ limit, perConnection } = {}) {
+    if (limit !== undefined) {
+      this.baseLimit = BandwidthLimiter.parseRate(limit);
+      this.global.setRate(this.getCurrentLimit());
+    }
+    if (perConnection !== undefined) {
+      this.perConnection = BandwidthLimiter.parseRate(perConnection);
+      this.connections.forEach((bucket) => bucket.setRate(this.perConnection));
+    }
+  }
+
+  /**
+   * 为一个连接创建令牌桶，连接结束后调用 release()
+   */
+  createConnection() {
+    const bucket = new TokenBucket(this.perConnection);
+    this.connections.add(bucket);
+    return {
+      take: (bytes, signal) => this.take(bucket, bytes, signal),
+      release: () => this.connections.delete(bucket),
+    };
+  }
+
+  async take(bucket, bytes, signal) {
+    // 每分钟按时间表检查一次全局限速
+    if (
+      this.schedule.length > 0 &&
+      Date.now() - this.lastScheduleCheck > 60000
+    ) {
+      this.lastScheduleCheck = Date.now();
+      const limit = this.getCurrentLimit();
+      if (limit !== this.global.rate) this.global.setRate(limit);
+    }
+
+    await bucket.take(bytes, signal);
+    await this.global.take(bytes, signal);
+  }
+
+  /**
+   * 当前生效的总速率上限（用于 ETA 估算，0 表示不限）
+   */
+  getEffectiveRate(connectionCount) {
+    const perConnectionTotal = this.perConnection * connectionCount;
+    const rates = [this.global.rate, perConnectionTotal].filter((r) => r > 0);
+    return rates.length > 0 ? Math.min(...rates) : 0;
+  }
+
+  describe() {
+    const format = (rate) =>
+      rate > 0 ? FormatUtils.formatSpeed(rate) : "unlimited";
+    let text = `global ${format(this.global.rate)}, per connection ${format(
+      this.perConnection
+    )}`;
+    if (this.schedule.length > 0) {
+      text += `, ${this.schedule.length} scheduled window(s)`;
+    }
+    return text;
+  }
+}
+
+/**
+ * 自适应并发控制类 - 吞吐量提升时增加连接，遇到限流或错误率升高时减少连接
+ */
+export class ConcurrencyController {
+  // 增加连接没有带来提升后，暂停探测的周期数
+  static PLATEAU_TICKS = 6;
+
+  /**
+   * @param options.min 最少连接数
+   * @param options.max 最多连接数
+   * @param options.initial 初始连接数（默认 min）
+   * @param options.interval 调整间隔毫秒
+   * @param options.threshold 吞吐量提升超过该比例才视为有效
+   * @param options.maxErrorRate 一个周期内错误率超过该值时减少连接
+   */
+  constructor({
+    min = 2,
+    max = 16,
+    initial,
+    interval = 5000,
+    threshold = 0.05,
+    maxErrorRate = 0.2,
+  } = {}) {
+    this.max = Math.max(1, max);
+    this.min = Math.min(this.max, Math.max(1, min));
+    this.limit = Math.min(this.max, Math.max(this.min, initial ?? this.min));
+    this.interval = interval;
+    this.threshold = threshold;
+    this.maxErrorRate = maxErrorRate;
+
+    this.lastSpeed = 0;
+    this.lastLimit = this.limit;
+    this.cooldown = 0;
+    this.plateau = 0;
+    this.resetCounters();
+  }
+
+  resetCounters() {
+    this.throttles = 0;
+    this.errors = 0;
+    this.successes = 0;
+  }
+
+  recordThrottle() {
+    this.throttles++;
+  }
+
+  recordError() {
+    this.errors++;
+  }
+
+  recordSuccess() {
+    this.successes++;
+  }
+
+  /**
+   * 根据上一个周期的吞吐量调整连接数
+   * @param speed 上一个周期的总吞吐量（字节/秒）
+   * @returns 连接数变化 { previous, limit, reason }，没有变化时返回 null
+   */
+  update(speed) {
+    const previous = this.limit;
+    const requests = this.errors + this.successes;
+    const errorRate = requests > 0 ? this.errors / requests : 0;
+    const improved =
+      this.lastSpeed === 0 || speed > this.lastSpeed * (1 + this.threshold);
+    let reason = null;
+
+    if (this.throttles > 0 || errorRate > this.maxErrorRate) {
+      // 乘性减少，并在接下来两个周期内不增加
+      this.limit = Math.max(this.min, Math.floor(this.limit * 0.7));
+      this.cooldown = 2;
+      reason =
+        this.throttles > 0
+          ? `throttled ${this.throttles}x`
+          : `error rate ${(errorRate * 100).toFixed(0)}%`;
+    } else if (this.cooldown > 0) {
+      this.cooldown--;
+    } else if (previous > this.lastLimit && !improved) {
+      // 上次增加的连接没有带来提升，退回并暂停探测
+      this.limit = this.lastLimit;
+      this.plateau = ConcurrencyController.PLATEAU_TICKS;
+      reason = "no throughput gain";
+    } else if (improved && this.plateau === 0) {
+      this.limit = Math.min(
+        this.max,
+        this.limit + Math.max(1, Math.ceil(this.limit / 4))
+      );
+      reason = "throughput improving";
+    } else if (this.plateau > 0 && --this.plateau === 0) {
+      this.limit = Math.min(this.max, this.limit + 1);
+      reason = "probing";
+    }
+
+    this.lastSpeed = speed;
+    this.lastLimit = previous;
+    this.resetCounters();
+
+    return this.limit !== previous
+      ? { previous, limit: this.limit, reason }
+      : null;
+  }
+}
+
+/**
+ * 下载错误 - 携带错误分类，reason 用于日志与最终状态报告
+ */
+export class DownloadError extends Error {
+  constructor(message, { reason, code, status, retryable, partIndex, cause }) {
+    super(message, { cause });
+    this.name = "DownloadError";
+    this.reason = reason;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.partIndex = partIndex;
+  }
+
+  /**
+   * 通过 AbortSignal 取消下载时的错误
+   */
+  static cancelled(cause, message = "Download cancelled") {
+    return new DownloadError(message, {
+      reason: "cancelled",
+      code: "ABORT_ERR",
+      retryable: false,
+      cause,
+    });
+  }
+}
+
+/**
+ * 重试策略类 - 错误分类与指数退避
+ */
+export class RetryPolicy {
+  static THROTTLING_CODES = new Set([
+    "SlowDown",
+    "Throttling",
+    "ThrottlingException",
+    "ThrottledException",
+    "RequestThrottled",
+    "RequestThrottledException",
+    "TooManyRequestsException",
+    "RequestLimitExceeded",
+    "BandwidthLimitExceeded",
+  ]);
+
+  static NETWORK_CODES = new Set([
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ECONNABORTED",
+    "EPIPE",
+    "ETIMEDOUT",
+    "ENOTFOUND",
+    "EAI_AGAIN",
+    "ENETUNREACH",
+    "EHOSTUNREACH",
+    "ERR_STREAM_PREMATURE_CLOSE",
+  ]);
+
+  // 本地文件系统错误，重试无法恢复
+  static LOCAL_IO_CODES = new Set([
+    "ENOSPC",
+    "EACCES",
+    "EPERM",
+    "EROFS",
+    "EDQUOT",
+  ]);
+
+  static FATAL_CODES = {
+    AccessDenied: "access denied",
+    AllAccessDisabled: "access denied",
+    InvalidAccessKeyId: "invalid credentials",
+    SignatureDoesNotMatch: "invalid credentials",
+    ExpiredToken: "expired credentials",
+    TokenRefreshRequired: "expired credentials",
+    InvalidToken: "invalid credentials",
+    CredentialsProviderError: "no credentials",
+    NoSuchKey: "object not found",
+    NoSuchBucket: "bucket not found",
+    NotFound: "object not found",
+    PreconditionFailed: "object changed",
+    InvalidRange: "invalid range",
+    InvalidObjectState: "object archived",
+  };
+
+  /**
+   * @param options.maxAttempts 连续失败的最大尝试次数（收到数据后重新计数）
+   * @param options.baseDelay 首次重试的等待毫秒数
+   * @param options.maxDelay 单次等待上限
+   * @param options.maxElapsedTime 连续失败的最长持续时间（毫秒，0 表示不限）
+   * @param options.infinite 无限重试（仍会因致命错误中止）
+   */
+  constructor({
+    maxAttempts = 5,
+    baseDelay = 1000,
+    maxDelay = 30000,
+    maxElapsedTime = 10 * 60 * 1000,
+    infinite = false,
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.maxElapsedTime = maxElapsedTime;
+    this.infinite = infinite;
+  }
+
+  /**
+   * 将 AWS SDK / 网络 / 文件系统错误分类为可重试或致命
+   */
+  static classify(error) {
+    const status = error.$metadata?.httpStatusCode;
+    const code = error.Code || error.code || error.name;
+
+    if (RetryPolicy.FATAL_CODES[code]) {
+      return {
+        retryable: false,
+        reason: RetryPolicy.FATAL_CODES[code],
+        code,
+        status,
+      };
+    }
+    if (RetryPolicy.THROTTLING_CODES.has(code) || status === 429) {
+      return { retryable: true, reason: "throttled", code, status };
+    }
+    if (
+      code === "RequestTimeout" ||
+      code === "TimeoutError" ||
+      status === 408
+    ) {
+      return { retryable: true, reason: "timeout", code, status };
+    }
+    if (status >= 500 || error.$fault === "server") {
+      return { retryable: true, reason: "server error", code, status };
+    }
+    if (RetryPolicy.NETWORK_CODES.has(code)) {
+      return { retryable: true, reason: "network error", code, status };
+    }
+    if (RetryPolicy.LOCAL_IO_CODES.has(code)) {
+      return { retryable: false, reason: "local I/O error", code, status };
+    }
+    if (status === 401 || status === 403) {
+      return { retryable: false, reason: "access denied", code, status };
+    }
+    if (status === 404) {
+      return { retryable: false, reason: "object not found", code, status };
+    }
+    if (status >= 400 && status < 500) {
+      return { retryable: false, reason: "client error", code, status };
+    }
+
+    // 未识别的错误（如分块大小不符）按可重试处理
+    return { retryable: true, reason: "transient error", code, status };
+  }
+
+  /**
+   * 生成带分类信息的 DownloadError
+   */
+  static wrap(error, partIndex) {
+    if (error instanceof DownloadError) return error;
+
+    const classification = RetryPolicy.classify(error);
+    const details = [classification.code, classification.status]
+      .filter(Boolean)
+      .join(" ");
+    const where = partIndex === undefined ? "" : `Part ${partIndex}: `;
+    return new DownloadError(
+      `${where}${classification.reason}${details ? ` (${details})` : ""}: ${
+        error.message
+      }`,
+      { ...classification, partIndex, cause: error }
+    );
+  }
+
+  /**
+   * 判断是否继续重试
+   * @param attempt 连续失败次数
+   * @param elapsed 连续失败持续的毫秒数
+   */
+  shouldRetry(classification, attempt, elapsed) {
+    if (!classification.retryable) return false;
+    if (this.infinite) return true;
+    if (attempt >= this.maxAttempts) return false;
+    return !this.maxElapsedTime || elapsed < this.maxElapsedTime;
+  }
+
+  /**
+   * 第 attempt 次失败后的等待时间：指数增长，随机抖动到 [delay/2, delay]
+   */
+  getDelay(attempt) {
+    const delay = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(2, Math.max(0, attempt - 1))
+    );
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  describe() {
+    if (this.infinite) return "infinite retry";
+    const window = this.maxElapsedTime
+      ? `, up to ${FormatUtils.formatDuration(this.maxElapsedTime / 1000)}`
+      : "";
+    return `up to ${this.maxAttempts} attempts${window} with exponential backoff`;
+  }
+}
+
+/**
+ * 凭证管理 - 把静态密钥、环境变量、共享配置文件、credential_process、AssumeRole 和默认 provider 链
+ * 统一为 S3Client 使用的 provider；缓存临时凭证，在过期前刷新，收到 ExpiredToken 时强制刷新
+ */
+export class CredentialManager {
+  // 距过期不足该时间时提前刷新
+  static REFRESH_WINDOW = 5 * 60 * 1000;
+  // 多个线程同时收到 ExpiredToken 时只刷新一次
+  static MIN_REFRESH_INTERVAL = 1000;
+
+  /**
+   * @param credentials 见 createProvider()
+   * @param options.region AssumeRole 使用的 STS 区域
+   */
+  constructor(credentials, { region } = {}) {
+    this.source = CredentialManager.describe(credentials);
+    this.refreshable = !CredentialManager.isStatic(credentials);
+    this.innerProvider = CredentialManager.createProvider(credentials, {
+      region,
+    });
+    this.identity = null;
+    this.pending = null;
+    this.invalidatedAt = 0;
+    this.stale = false;
+
+    // S3Client 不会再包一层缓存，每次请求都调用 get()，由这里决定何时刷新
+    this.provider = (options) => this.get(options);
+    this.provider.memoized = true;
+  }
+
+  /**
+   * 已经是 CredentialManager 时直接返回（批量下载时多个下载器共用）
+   */
+  static from(credentials, options) {
+    return credentials instanceof CredentialManager
+      ? credentials
+      : new CredentialManager(credentials, options);
+  }
+
+  static isStatic(credentials) {
+    return Boolean(
+      credentials &&
+      typeof credentials === "object" &&
+      credentials.accessKeyId &&
+      credentials.secretAccessKey
+    );
+  }
+
+  /**
+   * 根据配置创建 provider：
+   *   { accessKeyId, secretAccessKey, sessionToken } - 静态密钥
+   *   function - 自定义 provider（如 @aws-sdk/credential-providers 中的任意 provider）
+   *   { source: "env" } - AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY / AWS_SESSION_TOKEN
+   *   { source: "ini", profile } - ~/.aws/credentials 与 ~/.aws/config（含 role_arn、credential_process、SSO）
+   *   { source: "process", profile } - profile 中的 credential_process
+   *   { roleArn, roleSessionName, externalId, durationSeconds, sourceCredentials, stsEndpoint } - AssumeRole
+   *   { source: "chain", profile } 或未设置 - 默认 provider 链
+   */
+  static createProvider(credentials, { region } = {}) {
+    if (typeof credentials === "function") return credentials;
+    if (CredentialManager.isStatic(credentials)) {
+      const { accessKeyId, secretAccessKey, sessionToken, expiration } =
+        credentials;
+      const identity = {
+        accessKeyId,
+        secretAccessKey,
+        ...(sessionToken && { sessionToken }),
+        ...(expiration && { expiration: new Date(expiration) }),
+      };
+      return async () => identity;
+    }
+
+    const options = credentials || {};
+    if (options.roleArn) {
+      return fromTemporaryCredentials({
+        params: {
+          RoleArn: options.roleArn,
+          RoleSessionName: options.roleSessionName || `s3dl-${Date.now()}`,
+          ...(options.externalId && { ExternalId: options.externalId }),
+          ...(options.durationSeconds && {
+            DurationSeconds: Number(options.durationSeconds),
+          }),
+        },
+        masterCredentials: CredentialManager.createProvider(
+          options.sourceCredentials,
+          { region }
+        ),
+        clientConfig: {
+          region: options.stsRegion || region,
+          ...(options.stsEndpoint && { endpoint: options.stsEndpoint }),
+        },
+      });
+    }
+
+    const profile = options.profile;
+    switch (options.source || "chain") {
+      case "env":
+        return fromEnv();
+      case "ini":
+        return fromIni({ profile });
+      case "process":
+        return fromProcess({ profile });
+      case "chain":
+        return fromNodeProviderChain({ profile });
+      default:
+        throw new Error(
+          `Unknown credentials source "${options.source}", expected env, ini, process or chain`
+        );
+    }
+  }
+
+  /**
+   * 用于日志的凭证来源说明（不含密钥）
+   */
+  static describe(credentials) {
+    if (typeof credentials === "function") return "custom provider";
+    if (CredentialManager.isStatic(credentials)) return "static keys";
+    const options = credentials || {};
+    if (options.roleArn) return `AssumeRole ${options.roleArn}`;
+    const source = options.source || "provider chain";
+    return options.profile ? `${source} (profile ${options.profile})` : source;
+  }
+
+  /**
+   * 返回当前凭证，首次调用、即将过期或被标记失效时刷新
+   */
+  async get(options = {}) {
+    const expiresSoon =
+      this.identity?.expiration &&
+      this.identity.expiration.getTime() - Date.now() <
+        CredentialManager.REFRESH_WINDOW;
+    if (!this.identity || this.stale || expiresSoon || options.forceRefresh) {
+      await this.refresh();
+    }
+    return this.identity;
+  }
+
+  /**
+   * 重新获取凭证（并发调用共享同一次刷新）
+   */
+  async refresh() {
+    if (!this.pending) {
+      this.pending = (async () => {
+        try {
+          const identity = await this.innerProvider({ forceRefresh: true });
+          if (identity.expiration && identity.expiration <= new Date()) {
+            throw new DownloadError(
+              `Refreshed credentials from ${this.source} are already expired`,
+              { reason: "expired credentials", retryable: false }
+            );
+          }
+          this.identity = identity;
+          this.stale = false;
+        } finally {
+          this.pending = null;
+        }
+      })();
+    }
+    await this.pending;
+  }
+
+  /**
+   * 标记当前凭证失效，下次请求时重新获取；刚刚因失效刷新过时忽略
+   * @returns 是否会刷新
+   */
+  invalidate() {
+    if (!this.refreshable) return false;
+    if (
+      !this.pending &&
+      Date.now() - this.invalidatedAt >= CredentialManager.MIN_REFRESH_INTERVAL
+    ) {
+      this.stale = true;
+      this.invalidatedAt = Date.now();
+    }
+    return true;
+  }
+
+  /**
+   * 凭证过期的错误在能刷新凭证时改为可重试
+   */
+  recover(failure) {
+    if (failure.reason !== "expired credentials" || !this.invalidate()) {
+      return failure;
+    }
+    return new DownloadError(`${failure.message} (refreshing credentials)`, {
+      ...failure,
+      retryable: true,
+      cause: failure.cause,
+    });
+  }
+}
+
+/**
+ * HTTP(S) 下载源 - 通过预签名 URL 或普通 HTTPS 链接下载，不需要 S3 凭证
+ * 返回与 HeadObject / GetObject 相同形状的结果，下载器的分块续传、进度与校验逻辑不变
+ */
+export class HttpSource {
+  static isUrl(value) {
+    return typeof value === "string" && /^https?:\/\//i.test(value);
+  }
+
+  /**
+   * @param url 预签名 GetObject URL 或任意 HTTP(S) 链接
+   * @param options.headers 每个请求附带的请求头（如 Authorization）
+   */
+  constructor(url, { headers = {} } = {}) {
+    this.url = new URL(url);
+    this.headers = headers;
+    // 清单中记录的对象标识不含查询参数，重新签名的 URL 仍能续传
+    this.key = `${this.url.origin}${this.url.pathname}`;
+    this.fileName =
+      decodeURIComponent(this.url.pathname.split("/").pop()) ||
+      this.url.hostname;
+  }
+
+  /**
+   * 发送 GET 请求；网络错误转为带错误码的 Error，供 RetryPolicy 分类
+   */
+  async request(headers, abortSignal) {
+    try {
+      return await fetch(this.url, {
+        headers: {
+          ...this.headers,
+          // 避免自动解压导致字节偏移与 Content-Length 不符
+          "Accept-Encoding": "identity",
+          ...headers,
+        },
+        signal: abortSignal,
+      });
+    } catch (error) {
+      if (abortSignal?.aborted) throw error;
+      const cause = error.cause || error;
+      const failure = new Error(cause.message, { cause: error });
+      failure.code = cause.code;
+      throw failure;
+    }
+  }
+
+  /**
+   * 根据错误响应生成与 AWS SDK 错误相同字段的 Error（S3 返回带 <Code> 的 XML）
+   */
+  async createError(response) {
+    const text = await response.text().catch(() => "");
+    const code = /<Code>([^<]+)<\/Code>/.exec(text)?.[1];
+    const message = /<Message>([^<]+)<\/Message>/.exec(text)?.[1];
+    const error = new Error(
+      message || `HTTP ${response.status} ${response.statusText}`
+    );
+    error.name = code || "HttpError";
+    error.$metadata = { httpStatusCode: response.status };
+    if (response.status >= 500) error.$fault = "server";
+    return error;
+  }
+
+  /**
+   * 获取对象元数据：用 Range: bytes=0-0 的 GET 代替 HEAD（预签名 GetObject URL 不能用于 HEAD），
+   * 206 表示服务端支持范围请求，200 表示只能单流下载；带 ifModifiedSince 且返回 304 时返回 null
+   */
+  async getInfo({ abortSignal, ifModifiedSince } = {}) {
+    const response = await this.request(
+      {
+        Range: "bytes=0-0",
+        ...(ifModifiedSince && {
+          "If-Modified-Since": ifModifiedSince.toUTCString(),
+        }),
+      },
+      abortSignal
+    );
+    const headers = response.headers;
+    let size = NaN;
+    if (response.status === 304) return null;
+    if (response.status === 206 || response.status === 416) {
+      // Content-Range: bytes 0-0/<size>，空对象返回 416 与 bytes */0
+      size = Number(/\/(\d+)$/.exec(headers.get("content-range") || "")?.[1]);
+    } else if (response.ok && headers.has("content-length")) {
+      size = Number(headers.get("content-length"));
+    } else if (!response.ok) {
+      throw await this.createError(response);
+    }
+    await response.body?.cancel().catch(() => {});
+
+    if (!Number.isInteger(size)) {
+      throw new DownloadError(
+        `${this.key} did not report its size (no Content-Range or Content-Length)`,
+        { reason: "unknown size", status: response.status, retryable: false }
+      );
+    }
+
+    const etag = headers.get("etag") || undefined;
+    const lastModified = headers.get("last-modified");
+    return {
+      size,
+      etag,
+      lastModified: lastModified ? new Date(lastModified) : undefined,
+      checksumSHA256: headers.get("x-amz-checksum-sha256") || undefined,
+      checksumCRC32C: headers.get("x-amz-checksum-crc32c") || undefined,
+      // 只有 S3 单次上传且未使用 SSE-KMS / SSE-C 的对象，ETag 才是内容的 MD5
+      etagIsMD5:
+        headers.has("x-amz-request-id") &&
+        /^"?[0-9a-f]{32}"?$/i.test(etag || "") &&
+        !headers.get("x-amz-server-side-encryption")?.startsWith("aws:kms") &&
+        !headers.has("x-amz-server-side-encryption-customer-algorithm"),
+      acceptRanges: response.status !== 200,
+    };
+  }
+
+  /**
+   * 获取 [start, end] 范围，返回与 GetObjectCommand 相同形状的响应
+   */
+  async getRange(start, end, { abortSignal, ifMatch } = {}) {
+    const response = await this.request(
+      {
+        Range: `bytes=${start}-${end}`,
+        // 弱 ETag 不能用于 If-Match（强比较总是失败）
+        ...(ifMatch && !ifMatch.startsWith("W/") && { "If-Match": ifMatch }),
+      },
+      abortSignal
+    );
+    if (!response.ok) {
+      throw await this.createError(response);
+    }
+    // 忽略 Range 返回的完整内容只能用于从头开始的单流下载
+    if (response.status !== 206 && start > 0) {
+      await response.body?.cancel().catch(() => {});
+      throw new DownloadError(
+        `Server ignored the range request for bytes ${start}-${end} (HTTP ${response.status})`,
+        {
+          reason: "range not supported",
+          status: response.status,
+          retryable: false,
+        }
+      );
+    }
+    return {
+      Body: response.body ? Readable.fromWeb(response.body) : Readable.from([]),
+      ContentLength: Number(response.headers.get("content-length") || 0),
+      ContentRange: response.headers.get("content-range") || undefined,
+      $metadata: { httpStatusCode: response.status, attempts: 1 },
+    };
+  }
+}
+
+/**
+ * S3多线程下载器主类
+ *
+ * 事件：start、part:start、part:progress、part:retry、part:complete、
+ * concurrency、merge:start、verify、complete、error（仅在有监听器时触发）
+ */
+export class S3MultiThreadDownloader extends EventEmitter {
+  /**
+   * @param config 配置对象，或配置文件中的 profile 名称；含 profile / configFile 时从配置文件加载，其余选项覆盖 profile
+   */
+  constructor(config = {}) {
+    super();
+    config = ConfigLoader.resolve(config);
+    this.bucketName = config.bucketName || "";
+    this.region = config.region || "ap-east-1";
+    this.endpoint = config.endpoint || "";
+    // 凭证：静态密钥、provider 函数、{ source, profile }、{ roleArn, ... } 或 CredentialManager，
+    // 未设置时使用默认 provider 链；传入 s3Client 时由该客户端自行处理凭证
+    this.credentials =
+      config.s3Client && !(config.credentials instanceof CredentialManager)
+        ? null
+        : CredentialManager.from(config.credentials, { region: this.region });
+    this.concurrency = config.concurrency || 10;
+    this.downloadDir = config.downloadDir || path.join(process.cwd(), "files");
+    // url（或 http(s):// 形式的 objectKey）：从预签名 URL 或普通 HTTPS 链接下载，不使用 S3 API
+    this.objectKey = config.url || config.objectKey || "";
+    // HTTP 下载源的附加请求头，如 { Authorization: "Bearer ..." }
+    this.headers = config.headers || {};
+    this.source = null;
+    this.showProgress = config.showProgress ?? true;
+    // 进度渲染："auto" | "bars" | "inline" | "plain" | "json" | "silent" 或 ProgressRenderer 实例
+    // showProgress: false 只隐藏进度，日志照常输出到控制台
+    this.renderer = ProgressRenderer.create(
+      config.progress ?? (this.showProgress ? "auto" : new ProgressRenderer())
+    );
+    this.verifyChecksum = config.verifyChecksum ?? true;
+    // "parts": 每个分片写入 .partN 后合并；"direct": 预分配目标文件并按偏移写入
+    this.writeMode = config.writeMode || "parts";
+    // 下载时解压：true（按扩展名识别）、"gzip" | "zstd" | "bzip2" 或 { format, output, keepCompressed }
+    this.decompress = config.decompress || false;
+    this.decompression = null;
+    // 分块大小与拆分下限：空闲线程会拆分剩余最多的下载中分块
+    this.chunkSize = FormatUtils.parseSize(config.chunkSize || "16M");
+    this.minSplitSize = FormatUtils.parseSize(config.minSplitSize || "1M");
+    // createReadStream() 的重排序缓冲区上限
+    this.streamWindow = FormatUtils.parseSize(config.streamWindow || "64M");
+    // 重试策略：{ maxAttempts, baseDelay, maxDelay, maxElapsedTime, infinite }
+    this.retryPolicy = new RetryPolicy(config.retry);
+    // 带宽限制：{ limit, perConnection, schedule }，可通过 setBandwidthLimit() 调整
+    this.bandwidth =
+      config.bandwidth instanceof BandwidthLimiter
+        ? config.bandwidth
+        : new BandwidthLimiter(config.bandwidth);
+    // 自适应并发：true 或 { min, max, initial, interval }，max 默认为 concurrency
+    const adaptive =
+      config.adaptiveConcurrency === true ? {} : config.adaptiveConcurrency;
+    this.adaptive = adaptive
+      ? new ConcurrencyController({
+          ...adaptive,
+          max: adaptive.max ?? this.concurrency,
+        })
+      : null;
+    if (this.adaptive) {
+      // 按上限创建线程，超出当前连接数的线程等待
+      this.concurrency = this.adaptive.max;
+    }
+    if (this.chunkSize < 1 || this.minSplitSize < 1) {
+      throw new Error("chunkSize and minSplitSize must be at least 1 byte");
+    }
+    if (!["parts", "direct"].includes(this.writeMode)) {
+      throw new Error(
+        `Invalid writeMode "${this.writeMode}", expected "parts" or "direct"`
+      );
+    }
+    this.expectedHash = FileIntegrityChecker.parseExpectedHash(
+      config.expectedHash
+    );
+    // 下载指定版本（仅 S3）；未指定时固定 HeadObject 返回的 ETag，范围请求都带 If-Match
+    this.versionId = config.versionId || undefined;
+    // 下载历史：JSON Lines 文件路径，未设置时不记录（s3dl 命令行默认记录）
+    this.history = DownloadHistory.from(config.historyFile);
+    // Prometheus 指标端点：端口号、选项或共用的 MetricsExporter
+    this.metrics = MetricsExporter.from(config.metrics);
+    this.metrics?.attach(this);
+    // 对象在该时间之后没有修改时跳过下载
+    this.ifModifiedSince = config.ifModifiedSince
+      ? new Date(config.ifModifiedSince)
+      : null;
+    if (this.ifModifiedSince && isNaN(this.ifModifiedSince.getTime())) {
+      throw new Error(
+        `Invalid ifModifiedSince "${config.ifModifiedSince}", expected a date`
+      );
+    }
+    // 本地文件已存在时以其修改时间作为 If-Modified-Since（下载完成后修改时间会设为对象的 LastModified）
+    this.skipUnchanged = config.skipUnchanged ?? false;
+    this.localFileName = "";
+    if (this.objectKey) {
+      this.setObjectKey(this.objectKey);
+    }
+
+    // 初始化S3客户端（批量下载时可共享同一个客户端）
+    this.s3Client =
+      config.s3Client ||
+      new S3Client({
+        region: this.region,
+        credentials: this.credentials.provider,
+        endpoint: this.endpoint,
+        forcePathStyle: true,
+      });
+
+    // 创建下载目录
+    if (!fs.existsSync(this.downloadDir)) {
+      fs.mkdirSync(this.downloadDir, { recursive: true });
+    }
+
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")
+      .slice(0, 19);
+
+    const logFileName = config.logFileName || `download_log_${timestamp}.txt`;
+    const logFile = path.resolve(
+      config.logDir || this.downloadDir,
+      logFileName
+    );
+    this.logger = Logger.fromConfig(logFile, config);
+
+    // 工具函数
+    this.streamPipeline = promisify(pipeline);
+
+    // 下载状态
+    this.fileSize = 0;
+    this.objectInfo = null;
+    // 服务端不支持范围请求时单连接下载，重试从头开始
+    this.singleStream = false;
+    this.parts = [];
+    this.manifest = null;
+    this.scheduler = null;
+    // 中止进行中的范围请求（致命错误、取消或暂停），恢复时重新创建
+    this.abortController = null;
+    // 致命错误或取消：设置后所有分块停止下载
+    this.failure = null;
+    this.paused = false;
+    this.pausedUntil = null;
+    this.releasePaused = null;
+    this.lastManifestSave = 0;
+    this.progressTracker = null;
+  }
+
+  /**
+   * 设置对象键
+   */
+  setObjectKey(objectKey) {
+    if (HttpSource.isUrl(objectKey)) {
+      this.source = new HttpSource(objectKey, { headers: this.headers });
+      this.objectKey = this.source.key;
+      this.localFileName = this.source.fileName;
+      return this;
+    }
+    this.source = null;
+
+    // 处理对象键格式
+    if (this.bucketName && objectKey.startsWith(this.bucketName + "/")) {
+      objectKey = objectKey.slice(this.bucketName.length + 1);
+    }
+
+    this.objectKey = objectKey;
+    this.localFileName = objectKey.split("/").pop();
+    return this;
+  }
+
+  /**
+   * 根据 decompress 配置确定解压格式和输出位置，不需要解压时返回 null
+   */
+  resolveDecompression() {
+    if (!this.decompress) return null;
+
+    const options =
+      typeof this.decompress === "object"
+        ? this.decompress
+        : { format: this.decompress === true ? "auto" : this.decompress };
+    const format =
+      !options.format || options.format === "auto"
+        ? Decompressor.detect(this.localFileName)
+        : options.format;
+
+    if (!format) {
+      this.logger.info(
+        `🗜️  ${this.localFileName} has no known compression extension, saving it as is`
+      );
+      return null;
+    }
+    if (!Decompressor.FORMATS[format]) {
+      throw new Error(
+        `Invalid decompress format "${format}", expected auto, ${Object.keys(
+          Decompressor.FORMATS
+        ).join(", ")}`
+      );
+    }
+    if (!Decompressor.isAvailable(format)) {
+      throw new Error(
+        `${format} decompression is not available: no zlib support and "${Decompressor.FORMATS[format].command}" was not found in PATH`
+      );
+    }
+
+    // output 可以是文件路径或 Writable 流（如 PassThrough）
+    const output =
+      options.output ?? Decompressor.stripExtension(this.localFileName, format);
+    const outputPath =
+      typeof output === "string"
+        ? path.resolve(this.downloadDir, output)
+        : null;
+
+    return {
+      format,
+      output,
+      outputPath,
+      // 解压到流时默认保留压缩文件
+      keepCompressed: options.keepCompressed ?? outputPath === null,
+    };
+  }
+
+  /**
+   * 将压缩数据流解压到输出文件或流
+   */
+  async decompressStream(source) {
+    const { format, output, outputPath } = this.decompression;
+    this.logger.info(
+      `🗜️  Decompressing (${format}) to ${
+        outputPath ? path.basename(outputPath) : "stream"
+      }`
+    );
+    try {
+      await this.streamPipeline(
+        source,
+        Decompressor.createStream(format),
+        outputPath ? fs.createWriteStream(outputPath) : output
+      );
+    } catch (error) {
+      if (error === this.failure) throw error;
+      throw new Error(`${format} decompression failed: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * 删除未通过校验的解压输出
+   */
+  removeDecompressedOutput() {
+    const outputPath = this.decompression?.outputPath;
+    if (outputPath && fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+    }
+  }
+
+  /**
+   * 压缩数据校验通过后的收尾：记录解压结果，按配置删除压缩文件
+   */
+  finishDecompression() {
+    const { outputPath, keepCompressed } = this.decompression;
+    if (outputPath) {
+      this.logger.info(
+        `🗜️  Decompressed: ${path.basename(
+          outputPath
+        )} (${FormatUtils.formatFileSize(fs.statSync(outputPath).size)})`
+      );
+    }
+    if (!keepCompressed) {
+      fs.unlinkSync(path.join(this.downloadDir, this.localFileName));
+      this.logger.debug(`Removed compressed file ${this.localFileName}`);
+    }
+  }
+
+  /**
+   * 获取对象元数据（大小、ETag、校验和）
+   * @param options.ifModifiedSince 对象在该时间之后没有修改时返回 null
+   */
+  async getObjectInfo({ abortSignal, ifModifiedSince } = {}) {
+    if (this.source) {
+      return await this.source.getInfo({ abortSignal, ifModifiedSince });
+    }
+    const headCommand = new HeadObjectCommand({
+      Bucket: this.bucketName,
+      Key: this.objectKey,
+      VersionId: this.versionId,
+      IfModifiedSince: ifModifiedSince || undefined,
+      ChecksumMode: "ENABLED",
+    });
+    let response;
+    try {
+      response = await this.s3Client.send(headCommand, { abortSignal });
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 304) return null;
+      throw error;
+    }
+    return {
+      size: parseInt(response.ContentLength, 10),
+      etag: response.ETag,
+      versionId: response.VersionId,
+      lastModified: response.LastModified,
+      checksumSHA256: response.ChecksumSHA256,
+      checksumCRC32C: response.ChecksumCRC32C,
+      // SSE-KMS（含 aws:kms:dsse）/ SSE-C 对象的 ETag 不是内容的 MD5
+      etagIsMD5:
+        !response.ServerSideEncryption?.startsWith("aws:kms") &&
+        !response.SSECustomerAlgorithm,
+    };
+  }
+
+  /**
+   * 请求对象的一个字节范围（S3 GetObject 或 HTTP 下载源）
+   * 带上 HeadObject 返回的 ETag（If-Match），对象在下载中被覆盖时以 "object changed" 失败
+   */
+  async requestRange(start, end, abortSignal) {
+    const ifMatch = this.objectInfo?.etag;
+    if (this.source) {
+      return await this.source.getRange(start, end, { abortSignal, ifMatch });
+    }
+    return await this.s3Client.send(
+      new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: this.objectKey,
+        VersionId: this.versionId,
+        IfMatch: ifMatch,
+        Range: `bytes=${start}-${end}`,
+      }),
+      { abortSignal }
+    );
+  }
+
+  /**
+   * 获取文件大小
+   */
+  async getFileSize() {
+    return (await this.getObjectInfo()).size;
+  }
+
+  /**
+   * 获取分片上传时第一个分片的大小，用于计算分片 ETag
+   */
+  async getMultipartPartSize() {
+    try {
+      const response = await this.s3Client.send(
+        new HeadObjectCommand({
+          Bucket: this.bucketName,
+          Key: this.objectKey,
+          VersionId: this.versionId,
+          PartNumber: 1,
+        })
+      );
+      return parseInt(response.ContentLength, 10);
+    } catch (error) {
+      this.logger.debug(
+        `Could not determine multipart part size: ${error.message}`
+      );
+      return 0;
+    }
   }
 
-  startProgressDisplay() {
-    this.progressInterval = setInterval(() => this.updateDisplay(), 500);
-  }
+  /**
+   * 构建最终文件的完整性验证器
+   */
+  async createIntegrityChecker() {
+    if (!this.verifyChecksum) {
+      return new FileIntegrityChecker(this.fileSize);
+    }
 
-  stopProgressDisplay() {
-    if (this.progressInterval) {
-      clearInterval(this.progressInterval);
-      this.progressInterval = null;
+    const info = this.objectInfo || {};
+    const expectedChecksums = {
+      sha256: info.checksumSHA256,
+      crc32c: info.checksumCRC32C,
+      hash: this.expectedHash,
+    };
+
+    const parsedETag = info.etagIsMD5
+      ? FileIntegrityChecker.parseETag(info.etag)
+      : null;
+    if (parsedETag) {
+      expectedChecksums.etag = info.etag;
+      if (parsedETag.parts > 0) {
+        expectedChecksums.multipartPartSize = await this.getMultipartPartSize();
+      }
     }
-  }
 
-  getTotalDownloaded() {
-    return this.downloadedPerPart.reduce((a, b) => a + b, 0);
+    const checker = new FileIntegrityChecker(this.fileSize, expectedChecksums);
+    const checks = checker.getChecks().map((check) => check.name);
+    this.logger.debug(
+      checks.length > 0
+        ? `Checksums to verify: ${checks.join(", ")}`
+        : "No checksums available for this object, verifying size only"
+    );
+    return checker;
   }
 
-  getTotalRetries() {
-    return this.partRetryCount.reduce((a, b) => a + b, 0);
+  /**
+   * 分片临时文件路径
+   */
+  getPartFilePath(idx) {
+    return path.join(this.downloadDir, `${this.localFileName}.part${idx}`);
   }
 
-  getMaxRetries() {
-    return Math.max(...this.partRetryCount);
+  /**
+   * direct 模式下预分配的下载中文件路径
+   */
+  getDirectFilePath() {
+    return path.join(this.downloadDir, `${this.localFileName}.download`);
   }
 
-  getAverageSpeed() {
-    const elapsedTime = (Date.now() - this.startTime) / 1000;
-    return elapsedTime > 0 ? this.getTotalDownloaded() / elapsedTime : 0;
+  /**
+   * 断点续传清单路径
+   */
+  getManifestPath() {
+    return path.join(this.downloadDir, `${this.localFileName}.manifest.json`);
   }
 
-  getTotalTime() {
-    return (Date.now() - this.startTime) / 1000;
+  /**
+   * 删除当前文件的所有临时文件（分片文件与预分配文件）
+   */
+  removeTempFiles() {
+    const partPattern = new RegExp(
+      `^${this.localFileName.replace(
+        /[.*+?^${}()|[\]\\]/g,
+        "\\$&"
+      )}\\.(part\\d+|download)$`
+    );
+    let removed = 0;
+    for (const name of fs.readdirSync(this.downloadDir)) {
+      if (partPattern.test(name)) {
+        fs.unlinkSync(path.join(this.downloadDir, name));
+        removed++;
+      }
+    }
+    return removed;
   }
 
   /**
-   * 获取详细的速度统计信息
+   * 按分块大小切分对象（分块数至少等于线程数），生成分块范围
    */
-  getSpeedStats() {
-    const activeThreadsInfo = this.getActiveThreadsSpeed();
-    const etaInfo = this.calculateETA();
+  createPartLayout() {
+    if (this.singleStream) {
+      return [{ index: 0, start: 0, end: this.fileSize - 1 }];
+    }
+    const partCount = Math.max(
+      1,
+      Math.min(
+        Math.max(this.concurrency, Math.ceil(this.fileSize / this.chunkSize)),
+        this.fileSize
+      )
+    );
+    const partSize = Math.floor(this.fileSize / partCount);
+    const parts = [];
+    for (let i = 0; i < partCount; i++) {
+      const start = i * partSize;
+      const end =
+        i === partCount - 1 ? this.fileSize - 1 : start + partSize - 1;
+      parts.push({ index: i, start, end });
+    }
+    return parts;
+  }
 
-    return {
-      overall: this.getAverageSpeed(),
-      active: activeThreadsInfo.activeSpeed,
-      current: activeThreadsInfo.totalCurrentSpeed,
-      global: this.getGlobalAverageSpeed(),
-      activeCount: activeThreadsInfo.activeCount,
-      eta: etaInfo,
-      perThread: activeThreadsInfo.activeThreadsDetails,
+  /**
+   * 读取并校验断点续传清单，决定沿用已有分片还是重新开始
+   */
+  prepareManifest() {
+    const identity = {
+      bucketName: this.bucketName,
+      objectKey: this.objectKey,
+      versionId: this.versionId,
+      objectInfo: this.objectInfo,
+      writeMode: this.writeMode,
     };
-  }
-}
+    const manifestPath = this.getManifestPath();
+    const existing = ResumeManifest.load(manifestPath);
 
-/**
- * S3多线程下载器主类
- */
-export class S3MultiThreadDownloader {
-  constructor(config = {}) {
-    this.bucketName = config.bucketName || "";
-    this.region = config.region || "ap-east-1";
-    this.endpoint = config.endpoint || "";
-    this.credentials = config.credentials || {};
-    this.concurrency = config.concurrency || 10;
-    this.downloadDir = config.downloadDir || path.join(process.cwd(), "files");
-    this.objectKey = config.objectKey || "";
-    this.localFileName = "";
-    if (this.objectKey) {
-      this.setObjectKey(this.objectKey);
-    }
+    if (existing) {
+      let reason = existing.getMismatchReason(identity);
+      if (!reason && this.singleStream && existing.parts.length > 1) {
+        reason = "the server no longer supports range requests";
+      }
+      if (!reason && this.writeMode === "direct") {
+        const directFile = this.getDirectFilePath();
+        if (
+          !fs.existsSync(directFile) ||
+          fs.statSync(directFile).size !== this.fileSize
+        ) {
+          reason = "preallocated file is missing or has the wrong size";
+        }
+      }
 
-    // 初始化S3客户端
-    this.s3Client = new S3Client({
-      region: this.region,
-      credentials: this.credentials,
-      endpoint: this.endpoint,
-      forcePathStyle: true,
-    });
+      if (!reason) {
+        this.logger.info(
+          `📄 Resume manifest found: reusing ${existing.parts.length} part ranges`
+        );
+        return existing;
+      }
 
-    // 创建下载目录
-    if (!fs.existsSync(this.downloadDir)) {
-      fs.mkdirSync(this.downloadDir, { recursive: true });
+      const removed = this.removeTempFiles();
+      this.logger.info(
+        `📄 Discarding stale resume manifest (${reason}), removed ${removed} temporary files`
+      );
+    } else {
+      const removed = this.removeTempFiles();
+      if (removed > 0) {
+        this.logger.info(
+          `📄 No resume manifest to validate existing parts, removed ${removed} temporary files`
+        );
+      }
     }
 
-    const timestamp = new Date()
-      .toISOString()
-      .replace(/[:.]/g, "-")
-      .slice(0, 19);
-
-    const logFileName = config.logFileName || `download_log_${timestamp}.txt`;
-    const logFile = path.join(this.downloadDir, logFileName);
-    this.logger = new Logger(logFile);
+    if (this.writeMode === "direct") {
+      this.preallocateDirectFile();
+    }
 
-    // 工具函数
-    this.streamPipeline = promisify(pipeline);
+    const manifest = ResumeManifest.create(manifestPath, {
+      ...identity,
+      parts: this.createPartLayout(),
+    });
+    manifest.save();
+    return manifest;
+  }
 
-    // 下载状态
-    this.fileSize = 0;
-    this.progressTracker = null;
+  /**
+   * 预分配 direct 模式的目标文件
+   */
+  preallocateDirectFile() {
+    const fd = fs.openSync(this.getDirectFilePath(), "w");
+    try {
+      fs.ftruncateSync(fd, this.fileSize);
+    } finally {
+      fs.closeSync(fd);
+    }
+    this.logger.debug(
+      `Preallocated ${this.getDirectFilePath()} (${FormatUtils.formatFileSize(
+        this.fileSize
+      )})`
+    );
   }
 
   /**
-   * 设置对象键
+   * 记录 direct 模式下分片已写入的字节数（最多每秒写一次清单）
    */
-  setObjectKey(objectKey) {
-    // 处理对象键格式
-    if (this.bucketName && objectKey.startsWith(this.bucketName + "/")) {
-      objectKey = objectKey.slice(this.bucketName.length + 1);
+  recordDirectProgress(idx, downloaded, force = false) {
+    this.manifest.setPartDownloaded(idx, downloaded);
+    if (force || Date.now() - this.lastManifestSave >= 1000) {
+      this.manifest.save();
+      this.lastManifestSave = Date.now();
     }
+  }
 
-    this.objectKey = objectKey;
-    this.localFileName = objectKey.split("/").pop();
-    return this;
+  /**
+   * 将分片的当前进度写入清单
+   */
+  saveManifestProgress() {
+    if (!this.manifest || !fs.existsSync(this.manifest.filePath)) return;
+    try {
+      // direct 模式的进度只保存在清单中，已是最新
+      if (this.writeMode === "parts") {
+        for (const part of this.parts) {
+          const expectedSize = part.end - part.start + 1;
+          const resumeInfo = this.getResumeInfo(part.index, expectedSize);
+          this.manifest.setPartDownloaded(part.index, resumeInfo.resumeBytes);
+        }
+      }
+      this.manifest.save();
+    } catch (error) {
+      this.logger.error(`Failed to save resume manifest: ${error.message}`);
+    }
   }
 
   /**
-   * 获取文件大小
+   * 获取分片恢复信息（parts 模式读取分片文件大小，direct 模式读取清单）
    */
-  async getFileSize() {
-    const headCommand = new HeadObjectCommand({
-      Bucket: this.bucketName,
-      Key: this.objectKey,
-    });
-    const response = await this.s3Client.send(headCommand);
-    return parseInt(response.ContentLength, 10);
+  getResumeInfo(idx, expectedSize) {
+    if (this.writeMode === "direct") {
+      const part = this.manifest.parts.find((p) => p.index === idx);
+      const resumeBytes = Math.min(part ? part.downloaded : 0, expectedSize);
+      return {
+        resumeBytes,
+        isValid: true,
+        isComplete: resumeBytes === expectedSize,
+      };
+    }
+    return this.getPartResumeInfo(this.getPartFilePath(idx), expectedSize);
   }
 
   /**
@@ -669,29 +3590,264 @@ export class S3MultiThreadDownloader {
   }
 
   /**
-   * 下载单个分片
+   * 下载线程：循环领取分块下载，直到调度器没有可分配的工作
+   */
+  async runWorker(workerId) {
+    let part;
+    while (!this.failure) {
+      // 自适应并发：编号超出当前连接数的线程暂停领取分块
+      if (workerId >= this.activeConcurrency) {
+        if (this.scheduler.pendingCount === 0) break;
+        this.progressTracker.setWorkerPart(workerId, null);
+        await this.waitForConcurrencyChange();
+        continue;
+      }
+      if ((part = this.scheduler.next()) === null) break;
+      this.progressTracker.setWorkerPart(workerId, part.index);
+      try {
+        await this.downloadRange(part, workerId);
+      } catch (error) {
+        // 致命错误与取消已由 abortAll() 记录
+        if (error !== this.failure) {
+          this.logger.error(
+            `Unexpected final error for part ${part.index}: ${error.message}`
+          );
+        }
+        throw error;
+      } finally {
+        this.scheduler.complete(part.index);
+      }
+      this.progressTracker.completeWorkerChunk(workerId);
+    }
+    this.progressTracker.setWorkerPart(workerId, null);
+    // 让等待中的线程检查是否还有剩余工作
+    this.notifyConcurrencyChange();
+  }
+
+  /**
+   * 当前允许同时下载的连接数
+   */
+  get activeConcurrency() {
+    return this.adaptive ? this.adaptive.limit : this.concurrency;
+  }
+
+  /**
+   * 等待连接数变化或下载结束
+   */
+  waitForConcurrencyChange() {
+    if (!this.concurrencyChanged) {
+      this.concurrencyChanged = new Promise((resolve) => {
+        this.releaseConcurrency = resolve;
+      });
+    }
+    return this.concurrencyChanged;
+  }
+
+  /**
+   * 唤醒等待连接数变化的线程
+   */
+  notifyConcurrencyChange() {
+    const release = this.releaseConcurrency;
+    this.concurrencyChanged = null;
+    this.releaseConcurrency = null;
+    release?.();
+  }
+
+  /**
+   * 根据全局平均速度、限流和错误率调整连接数（自适应并发）
+   */
+  tuneConcurrency() {
+    if (!this.adaptive || this.paused || this.failure) return;
+
+    const speed = this.progressTracker.getGlobalAverageSpeed();
+    const change = this.adaptive.update(speed);
+    if (!change) return;
+
+    this.logger.info(
+      `🎚️  Concurrency ${change.previous} → ${change.limit} (${
+        change.reason
+      }, ${FormatUtils.formatSpeed(speed)})`
+    );
+    this.emit("concurrency", { ...change, speed });
+    this.notifyConcurrencyChange();
+  }
+
+  /**
+   * 调度器拆分分块后同步进度跟踪与清单
+   */
+  handlePartSplit(original, added) {
+    this.progressTracker.addPart();
+    this.progressTracker.setPartExpectedSize(
+      original.index,
+      original.end - original.start + 1
+    );
+    this.progressTracker.setPartExpectedSize(
+      added.index,
+      added.end - added.start + 1
+    );
+    this.manifest.save();
+
+    this.logger.debug(
+      `Split part ${original.index} at byte ${added.start}: ` +
+        `part ${added.index} takes ${FormatUtils.formatFileSize(
+          added.end - added.start + 1
+        )}`
+    );
+  }
+
+  /**
+   * 包装请求错误；凭证过期且能刷新时标记凭证失效并改为可重试
+   */
+  wrapError(error, partIndex) {
+    let failure = RetryPolicy.wrap(error, partIndex);
+    if (failure.reason === "object changed" && this.objectInfo?.etag) {
+      failure = new DownloadError(
+        `${failure.message} - ${this.localFileName} was overwritten during the download (expected ETag ${this.objectInfo.etag}), run again to download the new version`,
+        { ...failure, cause: failure.cause }
+      );
+    }
+    // HTTP 下载源的签名已固定在 URL 中，刷新凭证没有意义
+    const recovered = this.source
+      ? failure
+      : (this.credentials?.recover(failure) ?? failure);
+    if (recovered !== failure) {
+      this.logger.info(
+        `🔑 Credentials expired, refreshing from ${this.credentials.source}`
+      );
+    }
+    return recovered;
+  }
+
+  /**
+   * 记录致命错误并中止所有分块的请求
+   */
+  abortAll(failure) {
+    if (this.failure) return;
+    this.failure = failure;
+    this.logger.error(`⛔ Aborting all parts: ${failure.message}`);
+    this.abortController?.abort(failure);
+    // 唤醒暂停中和等待连接数的线程，让它们看到错误后退出
+    this.releasePaused?.();
+    this.notifyConcurrencyChange();
+  }
+
+  /**
+   * 暂停下载：中止进行中的范围请求，已下载的数据保留，resume() 后继续
    */
-  async downloadRange(originalStart, originalEnd, idx) {
-    const tempFile = path.join(
-      this.downloadDir,
-      `${this.localFileName}.part${idx}`
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.pausedUntil = new Promise((resolve) => {
+      this.releasePaused = resolve;
+    });
+    this.abortController?.abort(
+      new DownloadError("Download paused", {
+        reason: "paused",
+        retryable: true,
+      })
     );
-    const expectedSize = originalEnd - originalStart + 1;
-    this.progressTracker.setPartExpectedSize(idx, expectedSize);
+    this.saveManifestProgress();
+    this.logger.info("⏸️  Download paused");
+  }
+
+  /**
+   * 恢复暂停的下载
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.abortController = new AbortController();
+    this.releasePaused();
+    this.releasePaused = null;
+    this.pausedUntil = null;
+    this.logger.info("▶️  Download resumed");
+  }
+
+  get isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * 运行时调整带宽限制，如 setBandwidthLimit({ limit: "5M", perConnection: "1M" })
+   */
+  setBandwidthLimit(options) {
+    this.bandwidth.setLimit(options);
+    if (this.progressTracker) {
+      this.progressTracker.rateLimit = this.bandwidth.getEffectiveRate(
+        this.concurrency
+      );
+    }
+    this.logger.info(`🚦 Bandwidth: ${this.bandwidth.describe()}`);
+  }
+
+  /**
+   * 将响应流限制在分块当前的范围内，范围被调度器拆分缩短后提前结束；
+   * 每个数据块先从带宽令牌桶取得配额
+   */
+  async *_takePartBytes(source, part, position, onBytes, connection) {
+    for await (const chunk of source) {
+      const allowed = part.end - position + 1;
+      if (allowed <= 0) return;
+
+      const piece = chunk.length > allowed ? chunk.subarray(0, allowed) : chunk;
+      await connection.take(piece.length, this.abortController.signal);
+      position += piece.length;
+      onBytes(piece.length);
+      yield piece;
+
+      if (position > part.end) return;
+    }
+  }
+
+  /**
+   * 下载单个分块（part.end 可能在下载过程中被调度器拆分缩短）
+   */
+  async downloadRange(part, workerId = null) {
+    const idx = part.index;
+    const tempFile = this.getPartFilePath(idx);
+    // 连续失败次数与开始时间，收到数据后重新计数
+    let failures = 0;
+    let failingSince = 0;
 
     while (true) {
+      if (this.paused && !this.failure) {
+        this.progressTracker.updatePartStatus(idx, "paused");
+        await this.pausedUntil;
+      }
+      if (this.failure) throw this.failure;
+
       this.progressTracker.incrementRetryCount(idx);
       this.progressTracker.setPartStartTime(idx);
 
+      let writeStream = null;
+      let connection = null;
+      let resumeBytes = 0;
+      let currentSessionDownloaded = 0;
+      let expectedSize = part.end - part.start + 1;
+      this.progressTracker.setPartExpectedSize(idx, expectedSize);
+
       try {
-        const resumeInfo = this.getPartResumeInfo(tempFile, expectedSize);
+        let resumeInfo = this.getResumeInfo(idx, expectedSize);
         if (!resumeInfo.isValid) {
           this.logger.error(`Invalid part file ${tempFile}, starting fresh`);
         }
+        // 不支持范围请求时无法从中间继续
+        if (
+          this.singleStream &&
+          resumeInfo.resumeBytes > 0 &&
+          !resumeInfo.isComplete
+        ) {
+          this.logger.info(
+            `⏮️  Server does not support range requests, restarting ${this.localFileName} from the beginning`
+          );
+          resumeInfo = { resumeBytes: 0, isValid: true, isComplete: false };
+        }
 
-        const resumeBytes = resumeInfo.resumeBytes;
-        const actualStart = originalStart + resumeBytes;
+        resumeBytes = resumeInfo.resumeBytes;
+        const originalEnd = part.end;
+        const actualStart = part.start + resumeBytes;
         const remainingBytes = originalEnd - actualStart + 1;
+        this.scheduler.updatePosition(idx, actualStart);
 
         if (resumeInfo.isComplete) {
           this.progressTracker.updatePartStatus(
@@ -699,20 +3855,30 @@ export class S3MultiThreadDownloader {
             "completed (already exists)"
           );
           this.progressTracker.updatePartProgress(idx, expectedSize);
-          this.logger.info(
+          this.logger.debug(
             `Part ${idx}: Already completed (${FormatUtils.formatFileSize(
               expectedSize
             )}), skipping`
           );
+          this.emit("part:complete", {
+            index: idx,
+            size: expectedSize,
+            resumed: true,
+          });
           return tempFile;
         }
 
         if (remainingBytes <= 0) {
           this.progressTracker.updatePartStatus(idx, "completed (resumed)");
           this.progressTracker.updatePartProgress(idx, expectedSize);
-          this.logger.info(
+          this.logger.debug(
             `Part ${idx}: Already completed through resume, skipping`
           );
+          this.emit("part:complete", {
+            index: idx,
+            size: expectedSize,
+            resumed: true,
+          });
           return tempFile;
         }
 
@@ -731,16 +3897,34 @@ export class S3MultiThreadDownloader {
             )} remaining of ${FormatUtils.formatFileSize(
               expectedSize
             )} total), ` +
-            `attempt ${this.progressTracker.partRetryCount[idx]}`
+            `attempt ${this.progressTracker.partRetryCount[idx]}`,
+          {
+            part: idx,
+            start: actualStart,
+            end: originalEnd,
+            resumeBytes,
+            attempt: this.progressTracker.partRetryCount[idx],
+          }
         );
 
-        const getCommand = new GetObjectCommand({
-          Bucket: this.bucketName,
-          Key: this.objectKey,
-          Range: `bytes=${actualStart}-${originalEnd}`,
+        this.emit("part:start", {
+          index: idx,
+          worker: workerId,
+          start: part.start,
+          end: originalEnd,
+          resumeBytes,
+          attempt: this.progressTracker.partRetryCount[idx],
         });
 
-        const response = await this.s3Client.send(getCommand);
+        const response = await this.requestRange(
+          actualStart,
+          originalEnd,
+          this.abortController.signal
+        );
+        // SDK 内部重试过说明服务端在限流
+        if (response.$metadata?.attempts > 1) {
+          this.adaptive?.recordThrottle();
+        }
         const responseContentLength = parseInt(
           response.ContentLength || "0",
           10
@@ -752,20 +3936,33 @@ export class S3MultiThreadDownloader {
           );
         }
 
-        const passThrough = new PassThrough();
         this.progressTracker.updatePartProgress(idx, resumeBytes);
 
+        writeStream =
+          this.writeMode === "direct"
+            ? fs.createWriteStream(this.getDirectFilePath(), {
+                flags: "r+",
+                start: actualStart,
+              })
+            : fs.createWriteStream(tempFile, {
+                flags: resumeBytes > 0 ? "a" : "w",
+              });
+
         let lastProgressTime = Date.now();
         let lastBytes = resumeBytes;
-        let currentSessionDownloaded = 0;
 
-        response.Body.on("data", (chunk) => {
-          currentSessionDownloaded += chunk.length;
+        const onBytes = (length) => {
+          currentSessionDownloaded += length;
           const currentDownloaded = resumeBytes + currentSessionDownloaded;
+          this.scheduler.updatePosition(idx, part.start + currentDownloaded);
+          this.progressTracker.recordWorkerBytes(workerId, length);
 
           const currentTime = Date.now();
           if (currentTime - lastProgressTime > 1000) {
             const timeDiff = currentTime - lastProgressTime;
+            this.progressTracker.rateLimit = this.bandwidth.getEffectiveRate(
+              this.concurrency
+            );
             const bytesDiff = currentDownloaded - lastBytes;
             const speed = (bytesDiff / timeDiff) * 1000;
 
@@ -774,6 +3971,22 @@ export class S3MultiThreadDownloader {
               currentDownloaded,
               speed
             );
+            this.emit("part:progress", {
+              index: idx,
+              worker: workerId,
+              downloaded: currentDownloaded,
+              expected: part.end - part.start + 1,
+              speed,
+              ...this.getProgressSnapshot(),
+            });
+
+            if (this.writeMode === "direct") {
+              // 只记录已真正写入文件的字节
+              this.recordDirectProgress(
+                idx,
+                resumeBytes + writeStream.bytesWritten
+              );
+            }
 
             const partProgress = (
               (currentDownloaded / expectedSize) *
@@ -788,34 +4001,69 @@ export class S3MultiThreadDownloader {
                 `at ${FormatUtils.formatSpeed(speed)} ` +
                 `[Session: ${FormatUtils.formatFileSize(
                   currentSessionDownloaded
-                )}, Resume: ${FormatUtils.formatFileSize(resumeBytes)}]`
+                )}, Resume: ${FormatUtils.formatFileSize(resumeBytes)}]`,
+              {
+                part: idx,
+                bytes: currentDownloaded,
+                expected: expectedSize,
+                speed: Math.round(speed),
+                attempt: this.progressTracker.partRetryCount[idx],
+              }
             );
 
             lastProgressTime = currentTime;
             lastBytes = currentDownloaded;
           }
-        });
+        };
 
         response.Body.on("error", (error) => {
+          // 分块被拆分后提前关闭响应流，或暂停/取消中止请求，都属于正常情况
+          if (
+            part.start + resumeBytes + currentSessionDownloaded > part.end ||
+            this.paused ||
+            this.failure
+          ) {
+            return;
+          }
+
           this.progressTracker.updatePartProgress(
             idx,
             resumeBytes + currentSessionDownloaded,
             0
           );
-          this.logger.error(`Stream error in part ${idx}: ${error.message}`);
+          this.logger.error(`Stream error in part ${idx}: ${error.message}`, {
+            part: idx,
+            bytes: resumeBytes + currentSessionDownloaded,
+          });
           this.progressTracker.updatePartStatus(
             idx,
             `stream error: ${error.message}`
           );
         });
 
-        const writeStream = fs.createWriteStream(tempFile, {
-          flags: resumeBytes > 0 ? "a" : "w",
-        });
+        // 响应流不放入 pipeline：提前结束时销毁它产生的 aborted 错误不应导致分块失败
+        connection = this.bandwidth.createConnection();
+        await this.streamPipeline(
+          Readable.from(
+            this._takePartBytes(
+              response.Body,
+              part,
+              actualStart,
+              onBytes,
+              connection
+            )
+          ),
+          writeStream
+        );
 
-        await this.streamPipeline(response.Body, passThrough, writeStream);
+        // 下载过程中分块可能被拆分，按当前范围校验
+        expectedSize = part.end - part.start + 1;
+        this.progressTracker.setPartExpectedSize(idx, expectedSize);
 
-        const finalSize = fs.statSync(tempFile).size;
+        const finalSize =
+          this.writeMode === "direct"
+            ? resumeBytes + writeStream.bytesWritten
+            : fs.statSync(tempFile).size;
         if (finalSize !== expectedSize) {
           throw new Error(
             `Part ${idx} final size mismatch: expected ${FormatUtils.formatFileSize(
@@ -831,6 +4079,8 @@ export class S3MultiThreadDownloader {
 
         this.progressTracker.updatePartStatus(idx, "completed");
         this.progressTracker.updatePartProgress(idx, expectedSize, 0);
+        this.manifest.setPartDownloaded(idx, expectedSize);
+        this.manifest.save();
 
         const partTime = (
           (Date.now() - this.progressTracker.partStartTime[idx]) /
@@ -850,75 +4100,176 @@ export class S3MultiThreadDownloader {
             )}, resumed: ${FormatUtils.formatFileSize(resumeBytes)}, ` +
             `downloaded: ${FormatUtils.formatFileSize(
               currentSessionDownloaded
-            )}, attempts: ${this.progressTracker.partRetryCount[idx]})`
+            )}, attempts: ${this.progressTracker.partRetryCount[idx]})`,
+          {
+            part: idx,
+            bytes: expectedSize,
+            downloaded: currentSessionDownloaded,
+            duration: Number(partTime),
+            speed: Math.round(partSpeed),
+            attempts: this.progressTracker.partRetryCount[idx],
+          }
         );
+        this.adaptive?.recordSuccess();
+        this.emit("part:complete", {
+          index: idx,
+          worker: workerId,
+          size: expectedSize,
+          resumed: false,
+          time: (Date.now() - this.progressTracker.partStartTime[idx]) / 1000,
+          speed: partSpeed,
+          attempts: this.progressTracker.partRetryCount[idx],
+        });
+
+        return this.writeMode === "direct"
+          ? this.getDirectFilePath()
+          : tempFile;
+      } catch (error) {
+        if (this.writeMode === "direct" && writeStream) {
+          this.recordDirectProgress(
+            idx,
+            resumeBytes + writeStream.bytesWritten,
+            true
+          );
+        }
+
+        const currentResumeInfo = this.getResumeInfo(idx, expectedSize);
+        const currentResumeBytes = currentResumeInfo.resumeBytes;
+        this.progressTracker.updatePartProgress(idx, currentResumeBytes, 0);
+
+        // 其他分块遇到致命错误，本分块的请求是被中止的
+        if (this.failure) {
+          this.progressTracker.updatePartStatus(idx, "stopped");
+          throw this.failure;
+        }
+
+        // 暂停中止的请求不计入失败次数
+        if (this.paused) {
+          this.logger.debug(
+            `Part ${idx}: Paused at ${FormatUtils.formatFileSize(
+              currentResumeBytes
+            )}`
+          );
+          continue;
+        }
 
-        return tempFile;
-      } catch (error) {
-        this.progressTracker.updatePartProgress(
-          idx,
-          this.getPartResumeInfo(tempFile, expectedSize).resumeBytes,
-          0
-        );
-        const currentResumeInfo = this.getPartResumeInfo(
-          tempFile,
-          expectedSize
-        );
-        const currentResumeBytes = currentResumeInfo.resumeBytes;
+        const failure = this.wrapError(error, idx);
+        if (failure.reason === "throttled" || failure.status === 503) {
+          this.adaptive?.recordThrottle();
+        } else {
+          this.adaptive?.recordError();
+        }
+        if (currentSessionDownloaded > 0 || failures === 0) {
+          failures = 0;
+          failingSince = Date.now();
+        }
+        failures++;
 
         this.logger.error(
-          `Error downloading part ${idx} (attempt ${this.progressTracker.partRetryCount[idx]}): ${error.message}. ` +
+          `Error downloading part ${idx} (attempt ${this.progressTracker.partRetryCount[idx]}, ${failure.reason}): ${error.message}. ` +
             `Preserved: ${FormatUtils.formatFileSize(
               currentResumeBytes
             )} / ${FormatUtils.formatFileSize(expectedSize)} ` +
-            `(${((currentResumeBytes / expectedSize) * 100).toFixed(1)}%)`
+            `(${((currentResumeBytes / expectedSize) * 100).toFixed(1)}%)`,
+          {
+            part: idx,
+            attempt: this.progressTracker.partRetryCount[idx],
+            reason: failure.reason,
+            code: failure.code,
+            status: failure.status,
+            preserved: currentResumeBytes,
+            expected: expectedSize,
+          }
         );
 
+        if (
+          !this.retryPolicy.shouldRetry(
+            failure,
+            failures,
+            Date.now() - failingSince
+          )
+        ) {
+          this.progressTracker.updatePartStatus(
+            idx,
+            `failed: ${failure.reason}`
+          );
+          this.abortAll(
+            failure.retryable
+              ? new DownloadError(
+                  `${failure.message} (gave up after ${failures} consecutive failed attempts)`,
+                  { ...failure, cause: error }
+                )
+              : failure
+          );
+          throw this.failure;
+        }
+
+        const delay = this.retryPolicy.getDelay(failures);
         const resumePercentage = (
           (currentResumeBytes / expectedSize) *
           100
         ).toFixed(1);
         this.progressTracker.updatePartStatus(
           idx,
-          `retrying now (attempt ${this.progressTracker.partRetryCount[idx]}, ${resumePercentage}% saved)`
+          `retrying in ${(delay / 1000).toFixed(1)}s (attempt ${this.progressTracker.partRetryCount[idx]}, ${resumePercentage}% saved)`
         );
 
         this.logger.debug(
-          `Part ${idx}: Retrying immediately (attempt ${
+          `Part ${idx}: Retrying in ${delay}ms (attempt ${
             this.progressTracker.partRetryCount[idx] + 1
           }) ` +
             `from ${FormatUtils.formatFileSize(
               currentResumeBytes
-            )} (${resumePercentage}% complete)`
+            )} (${resumePercentage}% complete)`,
+          {
+            part: idx,
+            delay,
+            attempt: this.progressTracker.partRetryCount[idx] + 1,
+            preserved: currentResumeBytes,
+          }
         );
 
-        await FormatUtils.sleep(1000);
+        this.emit("part:retry", {
+          index: idx,
+          attempt: this.progressTracker.partRetryCount[idx],
+          failures,
+          delay,
+          reason: failure.reason,
+          code: failure.code,
+          preserved: currentResumeBytes,
+          error,
+        });
+
+        await FormatUtils.sleep(delay, this.abortController.signal);
+      } finally {
+        connection?.release();
       }
     }
   }
 
   /**
    * 合并文件
+   * @param parts 按起始位置排序的分块
    */
   async mergeFiles(parts) {
     this.logger.info("\nMerging and verifying parts...");
+    this.emit("merge:start", { parts: parts.length });
 
     // 验证所有分片
-    for (let i = 0; i < parts.length; i++) {
-      const partFile = parts[i];
-      const expectedSize = this.progressTracker.partExpectedSizes[i];
-      const checker = new FileIntegrityChecker(expectedSize);
+    for (const part of parts) {
+      const partFile = this.getPartFilePath(part.index);
+      const checker = new FileIntegrityChecker(part.end - part.start + 1);
       const verification = checker.verify(partFile);
 
       if (!verification.exists || !verification.sizeMatch) {
         const errors = verification.errors.join(", ");
         throw new Error(
-          `Part ${i} verification failed: ${errors}. File: ${partFile}`
+          `Part ${part.index} verification failed: ${errors}. File: ${partFile}`
         );
       }
 
       this.logger.debug(
-        `Part ${i}: Size verified (${FormatUtils.formatFileSize(
+        `Part ${part.index}: Size verified (${FormatUtils.formatFileSize(
           verification.actualSize
         )})`
       );
@@ -926,49 +4277,53 @@ export class S3MultiThreadDownloader {
 
     this.logger.info("All parts verified successfully. Starting merge...");
 
+    const finalChecker = await this.createIntegrityChecker();
+    const calculator = finalChecker.createCalculator();
+
     const finalFilePath = path.join(this.downloadDir, this.localFileName);
     const writeStream = fs.createWriteStream(finalFilePath, { flags: "w" });
-    let totalMergedBytes = 0;
-
-    for (let i = 0; i < parts.length; i++) {
-      const partFile = parts[i];
-      this.logger.debug(`Merging part ${i + 1}/${parts.length}: ${partFile}`);
-      process.stdout.write(`\rMerging parts: ${i + 1}/${parts.length}...`);
-
-      await new Promise((resolve, reject) => {
-        const readStream = fs.createReadStream(partFile);
 
-        readStream.on("data", (chunk) => {
-          totalMergedBytes += chunk.length;
+    if (this.decompression) {
+      // 压缩数据照常写入最终文件用于校验，同时按顺序流式解压
+      // 写入错误由 _readParts() 检查 errored 后抛出
+      writeStream.on("error", () => {});
+      try {
+        await this.decompressStream(
+          Readable.from(this._readParts(parts, calculator, writeStream))
+        );
+      } catch (error) {
+        this.removeDecompressedOutput();
+        throw error;
+      } finally {
+        await new Promise((resolve, reject) => {
+          writeStream.on("error", reject);
+          writeStream.end(resolve);
         });
-
-        readStream.pipe(writeStream, { end: false });
-        readStream.on("end", resolve);
-        readStream.on("error", reject);
-      });
+      }
+    } else {
+      await this.streamPipeline(
+        Readable.from(this._readParts(parts, calculator)),
+        writeStream
+      );
     }
 
-    writeStream.close();
-
     // 最终文件验证
-    const finalChecker = new FileIntegrityChecker(this.fileSize);
-    const finalVerification = finalChecker.verify(finalFilePath);
-
-    if (!finalVerification.exists || !finalVerification.sizeMatch) {
-      const errors = finalVerification.errors.join(", ");
-      throw new Error(`Final file verification failed: ${errors}`);
+    try {
+      this.verifyFinalFile(
+        finalFilePath,
+        finalChecker,
+        calculator.digest(),
+        "The merged file, its parts and the manifest were removed; run the download again."
+      );
+    } catch (error) {
+      this.removeDecompressedOutput();
+      throw error;
     }
 
-    this.logger.info(`✅ Final file verification passed:`);
-    this.logger.info(`   📁 File: ${this.localFileName}`);
-    this.logger.info(
-      `   📊 Size: ${FormatUtils.formatFileSize(finalVerification.actualSize)}`
-    );
-    this.logger.info(`   🎯 Match: Perfect size match`);
-
     // 清理临时文件
     let cleanedFiles = 0;
-    parts.forEach((file, idx) => {
+    parts.forEach((part) => {
+      const file = this.getPartFilePath(part.index);
       try {
         fs.unlinkSync(file);
         cleanedFiles++;
@@ -985,22 +4340,127 @@ export class S3MultiThreadDownloader {
     );
   }
 
+  /**
+   * 按顺序读取分片数据并计算校验和；传入 copyTo 时同时写入该流
+   */
+  async *_readParts(parts, calculator, copyTo = null) {
+    for (let i = 0; i < parts.length; i++) {
+      if (this.failure) throw this.failure;
+
+      const partFile = this.getPartFilePath(parts[i].index);
+      this.logger.debug(`Merging part ${i + 1}/${parts.length}: ${partFile}`);
+      this.renderer.merge(i + 1, parts.length);
+
+      for await (const chunk of fs.createReadStream(partFile)) {
+        calculator.update(chunk);
+        if (copyTo) {
+          if (copyTo.errored) throw copyTo.errored;
+          if (!copyTo.write(chunk)) await once(copyTo, "drain");
+        }
+        yield chunk;
+      }
+    }
+  }
+
+  /**
+   * 验证最终文件的大小与校验和，校验和不匹配时删除文件、分片与清单并抛出错误
+   */
+  verifyFinalFile(filePath, checker, digests, removedHint) {
+    const verification = checker.verify(filePath, digests);
+    this.emit("verify", {
+      filePath,
+      passed:
+        verification.exists &&
+        verification.sizeMatch &&
+        verification.checksumMatch,
+      sizeMatch: verification.sizeMatch,
+      checksumMatch: verification.checksumMatch,
+      actualSize: verification.actualSize,
+      expectedSize: this.fileSize,
+      checksums: verification.checksums,
+      errors: verification.errors,
+    });
+
+    if (!verification.exists || !verification.sizeMatch) {
+      const errors = verification.errors.join(", ");
+      throw new Error(`Final file verification failed: ${errors}`);
+    }
+
+    if (!verification.checksumMatch) {
+      fs.unlinkSync(filePath);
+      // 已下载的数据不可信，下次运行从头下载
+      if (this.manifest) {
+        this.removeTempFiles();
+        this.manifest.remove();
+      }
+      const errors = verification.errors.join(", ");
+      throw new Error(
+        `Checksum verification failed: ${errors}. ${removedHint}`
+      );
+    }
+
+    this.logger.info(`✅ Final file verification passed:`);
+    this.logger.info(`   📁 File: ${this.localFileName}`);
+    this.logger.info(
+      `   📊 Size: ${FormatUtils.formatFileSize(verification.actualSize)}`
+    );
+    this.logger.info(`   🎯 Match: Perfect size match`);
+    verification.checksums.forEach((check) => {
+      this.logger.info(`   🔐 ${check.name}: ${check.actual}`);
+    });
+  }
+
+  /**
+   * direct 模式收尾：校验预分配文件后重命名为最终文件（无需合并）
+   */
+  async finalizeDirectFile() {
+    this.logger.info("\nVerifying downloaded file...");
+
+    const directFilePath = this.getDirectFilePath();
+    const finalChecker = await this.createIntegrityChecker();
+    const calculator = finalChecker.createCalculator();
+
+    // 分片乱序写入，校验和需要额外读取一遍文件
+    if (finalChecker.getChecks().length > 0) {
+      await new Promise((resolve, reject) => {
+        fs.createReadStream(directFilePath)
+          .on("data", (chunk) => calculator.update(chunk))
+          .on("end", resolve)
+          .on("error", reject);
+      });
+    }
+
+    this.verifyFinalFile(
+      directFilePath,
+      finalChecker,
+      calculator.digest(),
+      "The downloaded file and the manifest were removed; run the download again."
+    );
+
+    fs.renameSync(
+      directFilePath,
+      path.join(this.downloadDir, this.localFileName)
+    );
+  }
+
   /**
    * 🌟 启动下载的便捷方法（如果是在 config 中传了 objectKey）
    */
-  async start() {
+  async start(options = {}) {
     if (!this.objectKey) {
       throw new Error(
         "Object key is required. Set it in config or use download(objectKey) method."
       );
     }
-    return await this.download();
+    return await this.download(null, options);
   }
 
   /**
    * 🌟 主下载方法支持可选参数
+   * @param objectKey 对象键（默认使用配置中的 objectKey）
+   * @param options.signal AbortSignal，中止时取消所有请求并以 DownloadError 拒绝，进度保留
    */
-  async download(objectKey = null) {
+  async download(objectKey = null, { signal } = {}) {
     // 🌟 如果传入了objectKey参数，则使用它；否则使用配置中的objectKey
     if (objectKey !== null) {
       this.setObjectKey(objectKey);
@@ -1010,45 +4470,122 @@ export class S3MultiThreadDownloader {
       );
     }
 
+    if (signal?.aborted) {
+      throw DownloadError.cancelled(signal.reason);
+    }
+
+    this.decompression = this.resolveDecompression();
+    this.failure = null;
+    this.startedAt = new Date();
+    this.objectInfo = null;
+    this.manifest = null;
+    this.abortController = new AbortController();
+    const onAbort = () => this.abortAll(DownloadError.cancelled(signal.reason));
+    signal?.addEventListener("abort", onAbort, { once: true });
+    let tuneTimer = null;
+    this.renderer.attach(this);
+    this.logger.setConsole(this.renderer.wrapConsole(Logger.CONSOLE));
+
     try {
-      this.fileSize = await this.getFileSize();
+      await this.metrics?.listen();
+      const outputPath = this.getOutputPath();
+      const ifModifiedSince =
+        this.ifModifiedSince ??
+        (this.skipUnchanged && fs.existsSync(outputPath)
+          ? fs.statSync(outputPath).mtime
+          : undefined);
+      try {
+        this.objectInfo = await this.getObjectInfo({
+          abortSignal: signal,
+          ifModifiedSince,
+        });
+      } catch (error) {
+        throw this.failure || RetryPolicy.wrap(error);
+      }
+      if (!this.objectInfo) {
+        return this.skipNotModified(outputPath, ifModifiedSince);
+      }
+      this.fileSize = this.objectInfo.size;
+      // 空对象无法按范围请求分块
+      if (this.fileSize === 0) {
+        return await this.saveEmptyFile();
+      }
+      this.singleStream = this.objectInfo.acceptRanges === false;
+      const workerCount = this.singleStream ? 1 : this.concurrency;
+      this.manifest = this.prepareManifest();
+      // 与清单共享分块数组，拆分出的分块会同时写入清单
+      this.parts = this.manifest.parts;
       this.progressTracker = new ProgressTracker(
-        this.concurrency,
+        this.parts.length,
         this.fileSize,
-        this.logger
+        this.logger,
+        workerCount
       );
 
+      if (this.source) {
+        this.logger.info(`🌐 Source: ${this.source.key}`);
+      }
       this.logger.info(`📁 File: ${this.localFileName}`);
       this.logger.info(
         `📊 Size: ${FormatUtils.formatFileSize(
           this.fileSize
         )} (${this.fileSize.toLocaleString()} bytes)`
       );
-      this.logger.info(`🧵 Concurrency: ${this.concurrency} threads`);
-      this.logger.info(`🔄 Mode: Infinite retry with resume capability`);
-      this.logger.info(`📋 Log file: ${this.logger.logFilePath}\n`);
-
-      const partSize = Math.floor(this.fileSize / this.concurrency);
+      if (this.versionId) {
+        this.logger.info(`📌 Version: ${this.versionId}`);
+      }
+      if (this.singleStream) {
+        this.logger.warn(
+          `⚠️  Server does not support range requests (no Accept-Ranges): downloading with a single connection, retries restart from the beginning`
+        );
+      } else {
+        this.logger.info(
+          this.adaptive
+            ? `🧵 Concurrency: adaptive ${this.adaptive.min}-${this.adaptive.max} threads (starting at ${this.adaptive.limit})`
+            : `🧵 Concurrency: ${this.concurrency} threads`
+        );
+        this.logger.info(
+          `🧩 Chunks: ${this.parts.length} (chunk size ${FormatUtils.formatFileSize(
+            this.chunkSize,
+            { showBoth: false }
+          )}, idle threads split the largest remaining chunk)`
+        );
+      }
+      if (this.credentials && !this.source) {
+        this.logger.info(`🔑 Credentials: ${this.credentials.source}`);
+      }
+      this.logger.info(
+        `🔄 Retry: ${this.retryPolicy.describe()}${
+          this.singleStream ? "" : ", resume capable"
+        }`
+      );
+      if (this.bandwidth.enabled) {
+        this.logger.info(`🚦 Bandwidth: ${this.bandwidth.describe()}`);
+      }
+      if (this.writeMode === "direct") {
+        this.logger.info(
+          `💽 Write mode: direct (preallocated file, no merge phase)`
+        );
+      }
+      if (this.metrics) {
+        this.logger.info(`📈 Metrics: ${this.metrics.url}`);
+      }
+      if (this.logger.logFilePath) {
+        this.logger.info(`📋 Log file: ${this.logger.logFilePath}\n`);
+      }
 
       let totalResumedBytes = 0;
       let completedParts = 0;
       let partialParts = 0;
 
-      // 检查已有的分片文件
-      for (let i = 0; i < this.concurrency; i++) {
-        const tempFile = path.join(
-          this.downloadDir,
-          `${this.localFileName}.part${i}`
-        );
-        const start = i * partSize;
-        const end =
-          i === this.concurrency - 1 ? this.fileSize - 1 : start + partSize - 1;
+      // 检查已有的分片
+      for (const { index: i, start, end } of this.parts) {
         const expectedSize = end - start + 1;
 
         this.progressTracker.setPartExpectedSize(i, expectedSize);
         this.progressTracker.partRetryCount[i] = 0;
 
-        const resumeInfo = this.getPartResumeInfo(tempFile, expectedSize);
+        const resumeInfo = this.getResumeInfo(i, expectedSize);
         const resumeBytes = resumeInfo.resumeBytes;
         this.progressTracker.updatePartProgress(i, resumeBytes);
         totalResumedBytes += resumeBytes;
@@ -1059,7 +4596,7 @@ export class S3MultiThreadDownloader {
             "completed (already exists)"
           );
           completedParts++;
-          this.logger.info(
+          this.logger.debug(
             `Part ${i}: ✅ Already completed (${FormatUtils.formatFileSize(
               resumeBytes
             )})`
@@ -1073,7 +4610,7 @@ export class S3MultiThreadDownloader {
             `resuming from ${resumePercentage}%`
           );
           partialParts++;
-          this.logger.info(
+          this.logger.debug(
             `Part ${i}: ⏸ Will resume from ${FormatUtils.formatFileSize(
               resumeBytes
             )} (${resumePercentage}%)`
@@ -1094,10 +4631,10 @@ export class S3MultiThreadDownloader {
         ).toFixed(2);
         this.logger.info(`\n📊 Resume Summary:`);
         this.logger.info(
-          `  ✅ Completed parts: ${completedParts}/${this.concurrency}`
+          `  ✅ Completed parts: ${completedParts}/${this.parts.length}`
         );
         this.logger.info(
-          `  ⏸ Partial parts: ${partialParts}/${this.concurrency}`
+          `  ⏸ Partial parts: ${partialParts}/${this.parts.length}`
         );
         this.logger.info(
           `  💾 Already downloaded: ${FormatUtils.formatFileSize(
@@ -1111,53 +4648,84 @@ export class S3MultiThreadDownloader {
         );
       }
 
+      this.emit("start", {
+        bucketName: this.bucketName,
+        objectKey: this.objectKey,
+        versionId: this.versionId,
+        fileName: this.localFileName,
+        fileSize: this.fileSize,
+        parts: this.parts.length,
+        concurrency: workerCount,
+        writeMode: this.writeMode,
+        resumedBytes: totalResumedBytes,
+      });
+
+      this.scheduler = new ChunkScheduler(this.parts, {
+        // 单流下载时不拆分分块
+        minSplitSize: this.singleStream ? Infinity : this.minSplitSize,
+        onSplit: (original, added) => this.handlePartSplit(original, added),
+      });
+
       const downloadPromises = [];
-      const parts = new Array(this.concurrency);
-
-      // 启动所有下载线程
-      for (let i = 0; i < this.concurrency; i++) {
-        const start = i * partSize;
-        const end =
-          i === this.concurrency - 1 ? this.fileSize - 1 : start + partSize - 1;
-
-        downloadPromises.push(
-          this.downloadRange(start, end, i)
-            .then((file) => {
-              parts[i] = file;
-              return file;
-            })
-            .catch((error) => {
-              this.logger.error(
-                `Unexpected final error for part ${i}: ${error.message}`
-              );
-              throw error;
-            })
-        );
 
-        if (i < this.concurrency - 1) {
+      // 启动所有下载线程，每个线程从调度器领取分块直到没有剩余工作
+      for (let workerId = 0; workerId < workerCount; workerId++) {
+        const worker = this.runWorker(workerId);
+        // 错开启动期间先启动的线程可能已经失败，错误由下面的 allSettled 统一处理
+        worker.catch(() => {});
+        downloadPromises.push(worker);
+
+        if (workerId < Math.min(workerCount, this.activeConcurrency) - 1) {
           await FormatUtils.sleep(100);
         }
       }
 
-      this.logger.info(
-        "🚀 All downloads started with infinite retry mode...\n"
-      );
+      if (this.adaptive && !this.singleStream) {
+        tuneTimer = setInterval(
+          () => this.tuneConcurrency(),
+          this.adaptive.interval
+        );
+      }
 
-      // 启动进度显示
-      this.progressTracker.startProgressDisplay();
+      this.logger.info("🚀 All downloads started...\n");
 
-      try {
-        await Promise.all(downloadPromises);
-        this.progressTracker.stopProgressDisplay();
-      } catch (error) {
-        this.progressTracker.stopProgressDisplay();
-        throw error;
+      // 启动进度显示
+      this.renderer.start();
+
+      // 等待所有线程结束，避免失败后仍有线程在写文件
+      const results = await Promise.allSettled(downloadPromises);
+      clearInterval(tuneTimer);
+      this.renderer.stop();
+      const rejected = results.find((result) => result.status === "rejected");
+      if (this.failure || rejected) {
+        throw this.failure || rejected.reason;
       }
 
-      console.log();
       this.logger.info("✅ All parts downloaded successfully!");
 
-      await this.mergeFiles(parts);
+      if (this.writeMode === "direct") {
+        await this.finalizeDirectFile();
+        if (this.decompression) {
+          try {
+            await this.decompressStream(
+              fs.createReadStream(
+                path.join(this.downloadDir, this.localFileName)
+              )
+            );
+          } catch (error) {
+            this.removeDecompressedOutput();
+            throw error;
+          }
+        }
+      } else {
+        await this.mergeFiles(
+          [...this.parts].sort((a, b) => a.start - b.start)
+        );
+      }
+      if (this.decompression) {
+        this.finishDecompression();
+      }
+      this.manifest.remove();
 
       const totalTime = this.progressTracker.getTotalTime();
       const totalRetries = this.progressTracker.getTotalRetries();
@@ -1176,28 +4744,354 @@ export class S3MultiThreadDownloader {
       this.logger.info(
         `🚀 Average speed: ${FormatUtils.formatSpeed(avgSpeed)}`
       );
-      this.logger.info(
-        `💾 Saved to: ${path.join(this.downloadDir, this.localFileName)}`
-      );
-      this.logger.info(`📋 Log: ${this.logger.logFilePath}`);
+      const filePath = this.getOutputPath();
+      // 修改时间设为对象的 LastModified，供 skipUnchanged 下次比较
+      if (this.objectInfo.lastModified && fs.existsSync(filePath)) {
+        fs.utimesSync(filePath, new Date(), this.objectInfo.lastModified);
+      }
+      this.logger.info(`💾 Saved to: ${filePath}`, {
+        file: filePath,
+        size: this.fileSize,
+        totalTime,
+        avgSpeed: Math.round(avgSpeed),
+        totalRetries,
+      });
+      if (this.logger.logFilePath) {
+        this.logger.info(`📋 Log: ${this.logger.logFilePath}`);
+      }
 
-      return {
+      const result = {
         success: true,
-        filePath: path.join(this.downloadDir, this.localFileName),
+        filePath,
         fileSize: this.fileSize,
         totalTime: totalTime,
         avgSpeed: avgSpeed,
         totalRetries: totalRetries,
       };
+      if (this.decompression) {
+        result.decompressed = {
+          format: this.decompression.format,
+          filePath: this.decompression.outputPath,
+          compressedFilePath: this.decompression.keepCompressed
+            ? path.join(this.downloadDir, this.localFileName)
+            : null,
+        };
+      }
+      this.recordHistory("success", result);
+      this.emit("complete", result);
+      return result;
     } catch (err) {
       this.logger.error(`❌ Download failed: ${err.message}`);
+      this.saveManifestProgress();
       this.logFinalStatus();
+      this.recordHistory(err.reason === "cancelled" ? "cancelled" : "failed", {
+        error: err,
+      });
+      // 没有监听器时 emit("error") 会抛出，错误只通过 Promise 拒绝返回
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", err);
+      }
       throw err;
     } finally {
+      clearInterval(tuneTimer);
+      signal?.removeEventListener("abort", onAbort);
+      this.renderer.detach();
+      this.logger.setConsole(null);
       this.logger.close();
     }
   }
 
+  /**
+   * 最终输出文件路径（解压时为解压后的文件）
+   */
+  getOutputPath() {
+    return (
+      this.decompression?.outputPath ??
+      path.join(this.downloadDir, this.localFileName)
+    );
+  }
+
+  /**
+   * 空对象：不调度分块，直接创建空文件并照常校验
+   */
+  async saveEmptyFile() {
+    if (this.source) {
+      this.logger.info(`🌐 Source: ${this.source.key}`);
+    }
+    this.logger.info(`📁 File: ${this.localFileName}`);
+    this.logger.info(`📊 Size: 0 Bytes (empty object, nothing to download)`);
+
+    const startTime = Date.now();
+    const filePath = path.join(this.downloadDir, this.localFileName);
+    fs.writeFileSync(filePath, "");
+    const checker = await this.createIntegrityChecker();
+    this.verifyFinalFile(
+      filePath,
+      checker,
+      checker.createCalculator().digest(),
+      "The empty file was removed; check the expected hash."
+    );
+    if (this.decompression) {
+      const { output, outputPath } = this.decompression;
+      if (outputPath) {
+        fs.writeFileSync(outputPath, "");
+      } else {
+        output.end();
+      }
+      this.finishDecompression();
+    }
+
+    const outputPath = this.getOutputPath();
+    if (this.objectInfo.lastModified && fs.existsSync(outputPath)) {
+      fs.utimesSync(outputPath, new Date(), this.objectInfo.lastModified);
+    }
+    this.logger.info(`💾 Saved to: ${outputPath}`, {
+      file: outputPath,
+      size: 0,
+    });
+
+    const result = {
+      success: true,
+      filePath: outputPath,
+      fileSize: 0,
+      totalTime: (Date.now() - startTime) / 1000,
+      avgSpeed: 0,
+      totalRetries: 0,
+    };
+    this.recordHistory("success", result);
+    this.emit("complete", result);
+    return result;
+  }
+
+  /**
+   * 对象自 ifModifiedSince 以来没有修改：不下载，返回 skipped 结果
+   */
+  skipNotModified(filePath, ifModifiedSince) {
+    const exists = fs.existsSync(filePath);
+    this.logger.info(
+      `⏭️  ${
+        this.localFileName
+      } not modified since ${ifModifiedSince.toISOString()}, skipping download`
+    );
+    const result = {
+      success: true,
+      skipped: true,
+      filePath: exists ? filePath : null,
+      fileSize: exists ? fs.statSync(filePath).size : 0,
+      totalTime: 0,
+      avgSpeed: 0,
+      totalRetries: 0,
+    };
+    this.recordHistory("skipped", result);
+    this.emit("complete", result);
+    return result;
+  }
+
+  /**
+   * 把本次下载的结果写入下载历史并计入指标，写入失败不影响下载结果
+   * @param outcome success | skipped | failed | cancelled | interrupted
+   */
+  recordHistory(outcome, { error, ...result } = {}) {
+    this.metrics?.recordDownload(this, outcome);
+    if (!this.history) return;
+    try {
+      this.history.record({
+        outcome,
+        bucketName: this.bucketName,
+        objectKey: this.objectKey,
+        versionId: this.versionId,
+        etag: this.objectInfo?.etag,
+        size: this.objectInfo?.size ?? result.fileSize,
+        filePath: result.filePath,
+        startedAt: this.startedAt?.toISOString(),
+        totalTime:
+          result.totalTime ?? (Date.now() - this.startedAt.getTime()) / 1000,
+        avgSpeed: result.avgSpeed,
+        totalRetries:
+          result.totalRetries ?? this.progressTracker?.getTotalRetries() ?? 0,
+        downloaded: result.downloaded,
+        error: error?.message,
+      });
+    } catch (historyError) {
+      this.logger.error(
+        `Failed to write download history: ${historyError.message}`
+      );
+    }
+  }
+
+  /**
+   * 创建按顺序输出对象内容的可读流：并行获取范围，不写入磁盘
+   * 内存占用约为 streamWindow，消费方变慢时暂停发起新的范围请求
+   * @param objectKey 对象键（默认使用配置中的 objectKey）
+   * @param options.signal AbortSignal，中止时流以 DownloadError 结束
+   * @param options.window 覆盖配置中的 streamWindow
+   */
+  createReadStream(objectKey = null, { signal, window } = {}) {
+    if (objectKey !== null) {
+      this.setObjectKey(objectKey);
+    } else if (!this.objectKey) {
+      throw new Error(
+        "Object key is required either in config or as parameter"
+      );
+    }
+
+    const windowSize = FormatUtils.parseSize(window ?? this.streamWindow);
+    // 分块不超过 window / concurrency，让所有连接都能同时工作
+    const chunkSize = Math.max(
+      Math.min(this.chunkSize, Math.floor(windowSize / this.concurrency)),
+      Math.min(this.minSplitSize, windowSize)
+    );
+    let checker = null;
+    let calculator = null;
+    let emitted = 0;
+
+    const stream = new RangeReadStream({
+      chunkSize,
+      window: windowSize,
+      concurrency: this.concurrency,
+      open: async (abortSignal) => {
+        try {
+          this.objectInfo = await this.getObjectInfo({ abortSignal });
+        } catch (error) {
+          throw RetryPolicy.wrap(error);
+        }
+        this.fileSize = this.objectInfo.size;
+        if (this.objectInfo.acceptRanges === false) {
+          throw new DownloadError(
+            `${this.source.key} does not support range requests, which streaming needs; download it to a file instead`,
+            { reason: "range not supported", retryable: false }
+          );
+        }
+        checker = await this.createIntegrityChecker();
+        calculator = checker.createCalculator();
+        this.logger.info(
+          `📤 Streaming ${this.objectKey} (${FormatUtils.formatFileSize(
+            this.fileSize
+          )}, ${this.concurrency} connections, ${FormatUtils.formatFileSize(
+            windowSize,
+            { showBoth: false }
+          )} window)`
+        );
+        return this.fileSize;
+      },
+      fetchRange: (start, end, abortSignal) =>
+        this.fetchRange(start, end, abortSignal),
+      onData: (buffer) => {
+        emitted += buffer.length;
+        calculator.update(buffer);
+      },
+      onEnd: () => {
+        const verification = checker.verifyDigests(
+          emitted,
+          calculator.digest()
+        );
+        this.emit("verify", {
+          filePath: null,
+          passed: verification.sizeMatch && verification.checksumMatch,
+          sizeMatch: verification.sizeMatch,
+          checksumMatch: verification.checksumMatch,
+          actualSize: verification.actualSize,
+          expectedSize: this.fileSize,
+          checksums: verification.checksums,
+          errors: verification.errors,
+        });
+        if (!verification.sizeMatch || !verification.checksumMatch) {
+          throw new Error(
+            `Stream verification failed: ${verification.errors.join(", ")}`
+          );
+        }
+        this.logger.info(
+          `✅ Streamed ${FormatUtils.formatFileSize(emitted)}, ${
+            verification.checksums.map((check) => check.name).join(", ") ||
+            "size"
+          } verified`
+        );
+      },
+    });
+
+    if (signal) {
+      const onAbort = () =>
+        stream.destroy(DownloadError.cancelled(signal.reason));
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener("abort", onAbort, { once: true });
+        stream.once("close", () =>
+          signal.removeEventListener("abort", onAbort)
+        );
+      }
+    }
+    return stream;
+  }
+
+  /**
+   * 获取一个范围的完整数据，按重试策略重试并从已收到的位置继续
+   */
+  async fetchRange(start, end, signal) {
+    const chunks = [];
+    let received = 0;
+    let failures = 0;
+    let failingSince = Date.now();
+    const connection = this.bandwidth.createConnection();
+
+    try {
+      while (true) {
+        const receivedBefore = received;
+        try {
+          const response = await this.requestRange(
+            start + received,
+            end,
+            signal
+          );
+          for await (const chunk of response.Body) {
+            await connection.take(chunk.length, signal);
+            chunks.push(chunk);
+            received += chunk.length;
+          }
+          if (start + received > end) {
+            return Buffer.concat(chunks, received);
+          }
+          throw new Error(
+            `Response ended early at byte ${start + received} of range ${start}-${end}`
+          );
+        } catch (error) {
+          if (signal.aborted) throw signal.reason;
+
+          const failure = this.wrapError(error);
+          if (received > receivedBefore || failures === 0) {
+            failures = 0;
+            failingSince = Date.now();
+          }
+          failures++;
+          if (
+            !this.retryPolicy.shouldRetry(
+              failure,
+              failures,
+              Date.now() - failingSince
+            )
+          ) {
+            throw failure.retryable
+              ? new DownloadError(
+                  `${failure.message} (gave up after ${failures} consecutive failed attempts)`,
+                  { ...failure, cause: error }
+                )
+              : failure;
+          }
+
+          const delay = this.retryPolicy.getDelay(failures);
+          this.logger.error(
+            `Error streaming bytes ${start + received}-${end} (${
+              failure.reason
+            }): ${error.message}. Retrying in ${delay}ms`
+          );
+          await FormatUtils.sleep(delay, signal);
+        }
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * 记录最终状态
    */
@@ -1210,14 +5104,10 @@ export class S3MultiThreadDownloader {
     let totalRetries = this.progressTracker.getTotalRetries();
 
     this.progressTracker.partStatus.forEach((status, idx) => {
-      const tempFile = path.join(
-        this.downloadDir,
-        `${this.localFileName}.part${idx}`
-      );
       const expectedSize =
         this.progressTracker.partExpectedSizes[idx] ||
-        Math.floor(this.fileSize / this.concurrency);
-      const resumeInfo = this.getPartResumeInfo(tempFile, expectedSize);
+        Math.floor(this.fileSize / this.parts.length);
+      const resumeInfo = this.getResumeInfo(idx, expectedSize);
       const savedBytes = resumeInfo.resumeBytes;
       const progress =
         expectedSize > 0
@@ -1246,15 +5136,47 @@ export class S3MultiThreadDownloader {
       )} saved)`
     );
     this.logger.info(
-      `✅ Completed parts: ${completedParts}/${this.concurrency}`
+      `✅ Completed parts: ${completedParts}/${this.parts.length}`
     );
     this.logger.info(`🔄 Total retries: ${totalRetries}`);
+    if (this.failure?.reason === "cancelled") {
+      this.logger.info(`⏹️  Download cancelled`);
+    } else if (this.failure) {
+      this.logger.info(
+        `❌ Failure reason: ${this.failure.reason}` +
+          (this.failure.code ? ` (${this.failure.code})` : "") +
+          (this.failure.retryable ? "" : " - not retryable")
+      );
+    }
     this.logger.info(
       `\n🔄 Run the script again to resume from current progress!`
     );
     this.logger.info(`💾 All partial downloads have been preserved.`);
   }
 
+  /**
+   * 整体进度快照（用于 part:progress 事件）
+   */
+  getProgressSnapshot() {
+    const downloaded = this.progressTracker.getTotalDownloaded();
+    const speedStats = this.progressTracker.getSpeedStats();
+    return {
+      totalDownloaded: downloaded,
+      totalSize: this.fileSize,
+      progress: this.fileSize > 0 ? (downloaded / this.fileSize) * 100 : 0,
+      speeds: {
+        overall: speedStats.overall,
+        active: speedStats.active,
+        current: speedStats.current,
+        global: speedStats.global,
+        activeCount: speedStats.activeCount,
+      },
+      eta: speedStats.eta,
+      retries: this.progressTracker.getTotalRetries(),
+      maxRetries: this.progressTracker.getMaxRetries(),
+    };
+  }
+
   /**
    * 获取下载状态信息
    */
@@ -1276,6 +5198,8 @@ export class S3MultiThreadDownloader {
       speed: this.progressTracker.getAverageSpeed(),
       totalTime: this.progressTracker.getTotalTime(),
       retries: this.progressTracker.getTotalRetries(),
+      paused: this.paused,
+      concurrency: this.activeConcurrency,
       partStatus: this.progressTracker.partStatus.map((status, idx) => ({
         index: idx,
         status,
@@ -1292,33 +5216,30 @@ export class S3MultiThreadDownloader {
         retries: this.progressTracker.partRetryCount[idx],
         speed: this.progressTracker.partSpeeds[idx],
       })),
+      workers: this.progressTracker.getWorkerStats(),
     };
   }
 
   /**
    * 设置中断处理器
    */
-  setupInterruptHandler() {
+  setupInterruptHandler(exitCode = 0) {
     process.on("SIGINT", () => {
       console.log("\n\n⚠️  Download interrupted by user");
       this.logger.info("Download interrupted by user - preserving progress");
 
       if (this.progressTracker) {
-        this.progressTracker.stopProgressDisplay();
+        this.renderer.stop();
 
         console.log("\n📊 Current Progress:");
         let totalSaved = 0;
         let totalRetries = this.progressTracker.getTotalRetries();
 
         this.progressTracker.partStatus.forEach((status, idx) => {
-          const tempFile = path.join(
-            this.downloadDir,
-            `${this.localFileName}.part${idx}`
-          );
           const expectedSize =
             this.progressTracker.partExpectedSizes[idx] ||
-            Math.floor(this.fileSize / this.concurrency);
-          const resumeInfo = this.getPartResumeInfo(tempFile, expectedSize);
+            Math.floor(this.fileSize / this.parts.length);
+          const resumeInfo = this.getResumeInfo(idx, expectedSize);
           const savedBytes = resumeInfo.resumeBytes;
           const progress =
             expectedSize > 0
@@ -1352,10 +5273,12 @@ export class S3MultiThreadDownloader {
 
         this.logger.info(`Total progress saved: ${totalProgress}%`);
         this.logger.info(`Total attempts made: ${totalRetries}`);
+        this.saveManifestProgress();
+        this.recordHistory("interrupted", { downloaded: totalSaved });
       }
 
       this.logger.close();
-      process.exit(0);
+      process.exit(exitCode);
     });
   }
 }
@@ -0,0 +1,1091 @@
+import {
+  S3Client,
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CreateMultipartUploadCommand,
+  ListMultipartUploadsCommand,
+  ListPartsCommand,
+  PutObjectCommand,
+  UploadPartCommand,
+} from "@aws-sdk/client-s3";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import {
+  BandwidthLimiter,
+  CredentialManager,
+  DownloadError,
+  FileIntegrityChecker,
+  FormatUtils,
+  Logger,
+  ProgressRenderer,
+  ProgressTracker,
+  RetryPolicy,
+} from "./s3-downloader.mjs";
+import { ConfigLoader } from "./config.mjs";
+
+/**
+ * 上传清单 - 记录 UploadId 与已完成分片的 ETag，中断后继续上传
+ */
+export class UploadManifest {
+  static VERSION = 1;
+
+  constructor(filePath, data = null) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  /**
+   * 读取清单文件，不存在或无法解析时返回 null
+   */
+  static load(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) return null;
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (
+        data.version !== UploadManifest.VERSION ||
+        !data.uploadId ||
+        !Array.isArray(data.parts)
+      ) {
+        return null;
+      }
+      return new UploadManifest(filePath, data);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 根据本地文件与分片布局创建新清单
+   */
+  static create(
+    filePath,
+    { bucketName, objectKey, uploadId, size, mtime, partSize, parts }
+  ) {
+    const now = new Date().toISOString();
+    return new UploadManifest(filePath, {
+      version: UploadManifest.VERSION,
+      bucketName,
+      objectKey,
+      uploadId,
+      size,
+      mtime,
+      partSize,
+      createdAt: now,
+      updatedAt: now,
+      parts: parts.map(({ partNumber, start, end, etag }) => ({
+        partNumber,
+        start,
+        end,
+        etag: etag || null,
+      })),
+    });
+  }
+
+  get uploadId() {
+    return this.data.uploadId;
+  }
+
+  get parts() {
+    return this.data.parts;
+  }
+
+  /**
+   * 检查清单是否对应同一个本地文件和目标，返回不匹配的原因（匹配时返回 null）
+   */
+  getMismatchReason({ bucketName, objectKey, size, mtime, partSize }) {
+    if (
+      this.data.bucketName !== bucketName ||
+      this.data.objectKey !== objectKey
+    ) {
+      return `manifest is for ${this.data.bucketName}/${this.data.objectKey}`;
+    }
+    if (this.data.size !== size) {
+      return `size changed (${this.data.size} -> ${size})`;
+    }
+    if (this.data.mtime !== mtime) {
+      return `file modified (${this.data.mtime} -> ${mtime})`;
+    }
+    if (this.data.partSize !== partSize) {
+      return `part size changed (${this.data.partSize} -> ${partSize})`;
+    }
+    return null;
+  }
+
+  setPartETag(partNumber, etag) {
+    const part = this.data.parts.find((p) => p.partNumber === partNumber);
+    if (part) part.etag = etag;
+  }
+
+  /**
+   * 原子写入清单（先写临时文件再重命名）
+   */
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  remove() {
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+}
+
+/**
+ * S3 多线程分片上传类 - 与下载器共用并发、重试、进度与日志约定
+ *
+ * 事件：start、part:start、part:progress、part:retry、part:complete、
+ * complete、error（仅在有监听器时触发）
+ */
+export class S3MultiThreadUploader extends EventEmitter {
+  // S3 限制：除最后一个分片外每片至少 5 MiB，最多 10000 片
+  static MIN_PART_SIZE = 5 * 1024 * 1024;
+  static MAX_PARTS = 10000;
+
+  /**
+   * 响应中的 ETag 是否为内容 MD5：SSE-KMS（含 aws:kms:dsse）与 SSE-C 加密时不是
+   */
+  static etagIsMD5(response) {
+    return (
+      !response.ServerSideEncryption?.startsWith("aws:kms") &&
+      !response.SSECustomerAlgorithm
+    );
+  }
+
+  /**
+   * @param config 配置对象或 profile 名称，与 S3MultiThreadDownloader 相同
+   */
+  constructor(config = {}) {
+    super();
+    config = ConfigLoader.resolve(config);
+    this.bucketName = config.bucketName || "";
+    this.region = config.region || "ap-east-1";
+    this.endpoint = config.endpoint || "";
+    this.credentials =
+      config.s3Client && !(config.credentials instanceof CredentialManager)
+        ? null
+        : CredentialManager.from(config.credentials, { region: this.region });
+    this.concurrency = config.concurrency || 10;
+    this.filePath = config.filePath || "";
+    this.objectKey = config.objectKey || "";
+    this.contentType = config.contentType;
+    this.showProgress = config.showProgress ?? true;
+    this.renderer = ProgressRenderer.create(
+      config.progress ?? (this.showProgress ? "auto" : new ProgressRenderer())
+    );
+    this.partSize = FormatUtils.parseSize(config.partSize || "16M");
+    // 清单默认保存在源文件旁边：<文件名>.upload.json
+    this.manifestPath = config.manifestPath || null;
+    this.retryPolicy = new RetryPolicy(config.retry);
+    this.bandwidth =
+      config.bandwidth instanceof BandwidthLimiter
+        ? config.bandwidth
+        : new BandwidthLimiter(config.bandwidth);
+    if (this.partSize < S3MultiThreadUploader.MIN_PART_SIZE) {
+      throw new Error(
+        `partSize must be at least ${FormatUtils.formatFileSize(
+          S3MultiThreadUploader.MIN_PART_SIZE,
+          { showBoth: false }
+        )}`
+      );
+    }
+
+    this.s3Client =
+      config.s3Client ||
+      new S3Client({
+        region: this.region,
+        credentials: this.credentials.provider,
+        endpoint: this.endpoint,
+        forcePathStyle: true,
+        // 分片完整性由 ETag (MD5) 校验；不少 S3 兼容服务不支持 aws-chunked 校验和尾部
+        requestChecksumCalculation: "WHEN_REQUIRED",
+        // 流式请求体无法由 SDK 重发，重试交给 RetryPolicy
+        maxAttempts: 1,
+      });
+
+    const logDir = config.logDir || process.cwd();
+
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")
+      .slice(0, 19);
+
+    const logFileName = config.logFileName || `upload_log_${timestamp}.txt`;
+    this.logger = Logger.fromConfig(path.resolve(logDir, logFileName), config);
+
+    // 上传状态
+    this.fileSize = 0;
+    this.parts = [];
+    this.pending = [];
+    this.uploadId = null;
+    this.etagIsMD5 = true;
+    this.manifest = null;
+    this.abortController = null;
+    this.failure = null;
+    this.progressTracker = null;
+  }
+
+  /**
+   * 设置目标对象键（去掉存储桶前缀）
+   */
+  setObjectKey(objectKey) {
+    if (this.bucketName && objectKey.startsWith(this.bucketName + "/")) {
+      objectKey = objectKey.slice(this.bucketName.length + 1);
+    }
+    this.objectKey = objectKey;
+    return this;
+  }
+
+  getManifestPath() {
+    return this.manifestPath || `${this.filePath}.upload.json`;
+  }
+
+  /**
+   * 按文件大小确定分片大小，保证不超过 MAX_PARTS 片
+   */
+  getEffectivePartSize() {
+    const minimum = Math.ceil(this.fileSize / S3MultiThreadUploader.MAX_PARTS);
+    return Math.max(this.partSize, minimum);
+  }
+
+  /**
+   * 创建分片布局，partNumber 从 1 开始
+   */
+  createPartLayout(partSize) {
+    const parts = [];
+    for (let start = 0, index = 0; start < this.fileSize; index++) {
+      const end = Math.min(start + partSize, this.fileSize) - 1;
+      parts.push({ index, partNumber: index + 1, start, end, etag: null });
+      start = end + 1;
+    }
+    return parts;
+  }
+
+  /**
+   * 列出目标存储桶中未完成的分片上传
+   * @param prefix 只列出以该前缀开头的对象键
+   */
+  async listUploads(prefix = "") {
+    const uploads = [];
+    let keyMarker;
+    let uploadIdMarker;
+
+    do {
+      const response = await this.s3Client.send(
+        new ListMultipartUploadsCommand({
+          Bucket: this.bucketName,
+          Prefix: prefix,
+          KeyMarker: keyMarker,
+          UploadIdMarker: uploadIdMarker,
+        })
+      );
+      for (const upload of response.Uploads || []) {
+        uploads.push({
+          objectKey: upload.Key,
+          uploadId: upload.UploadId,
+          initiated: upload.Initiated,
+        });
+      }
+      keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+      uploadIdMarker = response.NextUploadIdMarker;
+    } while (keyMarker);
+
+    return uploads;
+  }
+
+  /**
+   * 查找当前对象键最近发起的未完成上传，没有时返回 null
+   */
+  async findLatestUpload() {
+    const uploads = (await this.listUploads(this.objectKey))
+      .filter((upload) => upload.objectKey === this.objectKey)
+      .sort((a, b) => new Date(b.initiated) - new Date(a.initiated));
+    return uploads[0]?.uploadId || null;
+  }
+
+  /**
+   * 列出某个上传中已上传的分片，上传不存在时返回 null
+   */
+  async listUploadedParts(uploadId) {
+    const parts = new Map();
+    let marker;
+
+    try {
+      do {
+        const response = await this.s3Client.send(
+          new ListPartsCommand({
+            Bucket: this.bucketName,
+            Key: this.objectKey,
+            UploadId: uploadId,
+            PartNumberMarker: marker,
+          })
+        );
+        for (const part of response.Parts || []) {
+          parts.set(part.PartNumber, { etag: part.ETag, size: part.Size });
+        }
+        marker = response.IsTruncated
+          ? response.NextPartNumberMarker
+          : undefined;
+      } while (marker);
+    } catch (error) {
+      if (error.name === "NoSuchUpload") return null;
+      throw error;
+    }
+
+    return parts;
+  }
+
+  /**
+   * 计算本地文件某个范围的 MD5（hex）
+   */
+  async hashRange(start, end) {
+    const md5 = crypto.createHash("md5");
+    for await (const chunk of fs.createReadStream(this.filePath, {
+      start,
+      end,
+    })) {
+      md5.update(chunk);
+    }
+    return md5.digest("hex");
+  }
+
+  /**
+   * 确定 UploadId：优先使用指定的 uploadId 或清单，resumeLatest 时查找同一对象键最近发起的
+   * 未完成上传，都没有时新建；已上传的分片以 ListParts 的结果为准
+   */
+  async prepareUpload(
+    stats,
+    partSize,
+    { uploadId: requestedId, resumeLatest }
+  ) {
+    const identity = {
+      bucketName: this.bucketName,
+      objectKey: this.objectKey,
+      size: this.fileSize,
+      mtime: stats.mtime.toISOString(),
+      partSize,
+    };
+    const manifestPath = this.getManifestPath();
+    const manifest = UploadManifest.load(manifestPath);
+    let uploadId = null;
+    let knownETags = new Map();
+
+    if (manifest) {
+      const reason =
+        manifest.getMismatchReason(identity) ??
+        (requestedId && manifest.uploadId !== requestedId
+          ? `manifest is for upload ${manifest.uploadId}`
+          : null);
+      if (reason) {
+        this.logger.warn(
+          `⚠️  Ignoring upload manifest (${reason}); upload ${manifest.uploadId} is left as is`
+        );
+      } else {
+        uploadId = manifest.uploadId;
+        knownETags = new Map(
+          manifest.parts
+            .filter((part) => part.etag)
+            .map((part) => [part.partNumber, part.etag])
+        );
+      }
+    }
+
+    if (!uploadId) {
+      // 最近发起的上传可能属于其他客户端，只在明确要求时沿用；分片内容逐个用 MD5 核对
+      uploadId =
+        requestedId || (resumeLatest ? await this.findLatestUpload() : null);
+    }
+
+    let resumedParts = 0;
+    if (uploadId) {
+      const remoteParts = await this.listUploadedParts(uploadId);
+      if (!remoteParts && uploadId === requestedId) {
+        throw new Error(
+          `Upload ${uploadId} does not exist for s3://${this.bucketName}/${this.objectKey}`
+        );
+      } else if (!remoteParts) {
+        this.logger.info(
+          `Upload ${uploadId} no longer exists, starting a new upload`
+        );
+        uploadId = null;
+      } else {
+        for (const part of this.parts) {
+          const remote = remoteParts.get(part.partNumber);
+          if (!remote || remote.size !== part.end - part.start + 1) continue;
+
+          const known = knownETags.get(part.partNumber);
+          const parsed = FileIntegrityChecker.parseETag(remote.etag);
+          const matches = known
+            ? known === remote.etag
+            : parsed !== null &&
+              parsed.parts === 0 &&
+              parsed.md5 === (await this.hashRange(part.start, part.end));
+          if (matches) {
+            part.etag = remote.etag;
+            resumedParts++;
+          }
+        }
+        this.logger.info(
+          `♻️  Resuming upload ${uploadId}: ${resumedParts}/${this.parts.length} parts already uploaded`
+        );
+      }
+    }
+
+    if (!uploadId) {
+      const response = await this.s3Client.send(
+        new CreateMultipartUploadCommand({
+          Bucket: this.bucketName,
+          Key: this.objectKey,
+          ContentType: this.contentType,
+        }),
+        { abortSignal: this.abortController.signal }
+      );
+      uploadId = response.UploadId;
+      this.logger.info(`🆕 Started multipart upload ${uploadId}`);
+    }
+
+    this.uploadId = uploadId;
+    this.manifest = UploadManifest.create(manifestPath, {
+      ...identity,
+      uploadId,
+      parts: this.parts,
+    });
+    this.manifest.save();
+    return resumedParts;
+  }
+
+  /**
+   * 上传线程：循环领取分片上传，直到没有剩余分片
+   */
+  async runWorker(workerId) {
+    let part;
+    while (!this.failure && (part = this.pending.shift()) !== undefined) {
+      this.progressTracker.setWorkerPart(workerId, part.index);
+      try {
+        await this.uploadPart(part, workerId);
+      } catch (error) {
+        // 致命错误与取消已由 abortAll() 记录
+        if (error !== this.failure) {
+          this.logger.error(
+            `Unexpected final error for part ${part.partNumber}: ${error.message}`
+          );
+        }
+        throw error;
+      }
+      this.progressTracker.completeWorkerChunk(workerId);
+    }
+    this.progressTracker.setWorkerPart(workerId, null);
+  }
+
+  /**
+   * 包装请求错误；凭证过期且能刷新时标记凭证失效并改为可重试
+   */
+  wrapError(error, partIndex) {
+    const failure = RetryPolicy.wrap(error, partIndex);
+    const recovered = this.credentials?.recover(failure) ?? failure;
+    if (recovered !== failure) {
+      this.logger.info(
+        `🔑 Credentials expired, refreshing from ${this.credentials.source}`
+      );
+    }
+    return recovered;
+  }
+
+  /**
+   * 记录致命错误并中止所有分片的请求
+   */
+  abortAll(failure) {
+    if (this.failure) return;
+    this.failure = failure;
+    this.logger.error(`⛔ Aborting all parts: ${failure.message}`);
+    this.abortController?.abort(failure);
+  }
+
+  /**
+   * 读取分片数据：先从带宽令牌桶取得配额，同时计算 MD5
+   */
+  async *_readPartBytes(part, md5, onBytes, connection) {
+    for await (const chunk of fs.createReadStream(this.filePath, {
+      start: part.start,
+      end: part.end,
+    })) {
+      await connection.take(chunk.length, this.abortController.signal);
+      md5.update(chunk);
+      onBytes(chunk.length);
+      yield chunk;
+    }
+  }
+
+  /**
+   * 上传单个分片，失败时按重试策略整片重传
+   */
+  async uploadPart(part, workerId = null) {
+    const idx = part.index;
+    const size = part.end - part.start + 1;
+    let failures = 0;
+    let failingSince = Date.now();
+    this.progressTracker.setPartExpectedSize(idx, size);
+
+    while (true) {
+      if (this.failure) throw this.failure;
+
+      this.progressTracker.incrementRetryCount(idx);
+      this.progressTracker.setPartStartTime(idx);
+      this.progressTracker.updatePartProgress(idx, 0, 0);
+      this.progressTracker.updatePartStatus(
+        idx,
+        `uploading (attempt ${this.progressTracker.partRetryCount[idx]})`
+      );
+      this.emit("part:start", {
+        index: idx,
+        partNumber: part.partNumber,
+        worker: workerId,
+        start: part.start,
+        end: part.end,
+        attempt: this.progressTracker.partRetryCount[idx],
+      });
+
+      const connection = this.bandwidth.createConnection();
+      const md5 = crypto.createHash("md5");
+      let sent = 0;
+      let lastProgressTime = Date.now();
+      let lastBytes = 0;
+
+      const onBytes = (length) => {
+        sent += length;
+        this.progressTracker.recordWorkerBytes(workerId, length);
+
+        const currentTime = Date.now();
+        if (currentTime - lastProgressTime > 1000) {
+          const speed =
+            ((sent - lastBytes) / (currentTime - lastProgressTime)) * 1000;
+          this.progressTracker.rateLimit = this.bandwidth.getEffectiveRate(
+            this.concurrency
+          );
+          this.progressTracker.updatePartProgress(idx, sent, speed);
+          this.emit("part:progress", {
+            index: idx,
+            partNumber: part.partNumber,
+            worker: workerId,
+            uploaded: sent,
+            expected: size,
+            speed,
+            ...this.getProgressSnapshot(),
+          });
+          lastProgressTime = currentTime;
+          lastBytes = sent;
+        }
+      };
+
+      const body = Readable.from(
+        this._readPartBytes(part, md5, onBytes, connection)
+      );
+      // 请求被中止时请求体也会出错，错误由 send() 的拒绝处理
+      body.on("error", () => {});
+
+      try {
+        const response = await this.s3Client.send(
+          new UploadPartCommand({
+            Bucket: this.bucketName,
+            Key: this.objectKey,
+            UploadId: this.uploadId,
+            PartNumber: part.partNumber,
+            ContentLength: size,
+            Body: body,
+          }),
+          { abortSignal: this.abortController.signal }
+        );
+
+        // 服务端返回 MD5 形式的 ETag 时核对分片内容
+        const expected = md5.digest("hex");
+        const parsed = FileIntegrityChecker.parseETag(response.ETag);
+        if (!S3MultiThreadUploader.etagIsMD5(response)) {
+          this.etagIsMD5 = false;
+        } else if (parsed && parsed.parts === 0 && parsed.md5 !== expected) {
+          throw new Error(
+            `ETag mismatch for part ${part.partNumber}: expected ${expected}, got ${parsed.md5}`
+          );
+        }
+
+        part.etag = response.ETag;
+        this.manifest.setPartETag(part.partNumber, response.ETag);
+        this.manifest.save();
+
+        const partTime =
+          (Date.now() - this.progressTracker.partStartTime[idx]) / 1000;
+        const partSpeed = partTime > 0 ? size / partTime : 0;
+        this.progressTracker.updatePartProgress(idx, size, partSpeed);
+        this.progressTracker.updatePartStatus(idx, "completed");
+        this.logger.debug(
+          `Part ${part.partNumber}: Uploaded ${FormatUtils.formatFileSize(
+            size
+          )} in ${partTime.toFixed(1)}s (attempts: ${
+            this.progressTracker.partRetryCount[idx]
+          })`
+        );
+        this.emit("part:complete", {
+          index: idx,
+          partNumber: part.partNumber,
+          worker: workerId,
+          size,
+          etag: response.ETag,
+          time: partTime,
+          speed: partSpeed,
+          attempts: this.progressTracker.partRetryCount[idx],
+        });
+        return;
+      } catch (error) {
+        this.progressTracker.updatePartProgress(idx, 0, 0);
+
+        // 其他分片遇到致命错误，本分片的请求是被中止的
+        if (this.failure) {
+          this.progressTracker.updatePartStatus(idx, "stopped");
+          throw this.failure;
+        }
+
+        const failure = this.wrapError(error, idx);
+        failures++;
+        this.logger.error(
+          `Error uploading part ${part.partNumber} (attempt ${this.progressTracker.partRetryCount[idx]}, ${failure.reason}): ${error.message}`
+        );
+
+        if (
+          !this.retryPolicy.shouldRetry(
+            failure,
+            failures,
+            Date.now() - failingSince
+          )
+        ) {
+          this.progressTracker.updatePartStatus(
+            idx,
+            `failed: ${failure.reason}`
+          );
+          this.abortAll(
+            failure.retryable
+              ? new DownloadError(
+                  `${failure.message} (gave up after ${failures} consecutive failed attempts)`,
+                  { ...failure, cause: error }
+                )
+              : failure
+          );
+          throw this.failure;
+        }
+
+        const delay = this.retryPolicy.getDelay(failures);
+        this.progressTracker.updatePartStatus(
+          idx,
+          `retrying in ${(delay / 1000).toFixed(1)}s (attempt ${
+            this.progressTracker.partRetryCount[idx]
+          })`
+        );
+        this.emit("part:retry", {
+          index: idx,
+          partNumber: part.partNumber,
+          attempt: this.progressTracker.partRetryCount[idx],
+          failures,
+          delay,
+          reason: failure.reason,
+          code: failure.code,
+          error,
+        });
+
+        await FormatUtils.sleep(delay, this.abortController.signal);
+      } finally {
+        connection.release();
+      }
+    }
+  }
+
+  /**
+   * 合并分片，按重试策略重试；并核对多段 ETag
+   */
+  async completeUpload() {
+    const request = new CompleteMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: this.objectKey,
+      UploadId: this.uploadId,
+      MultipartUpload: {
+        Parts: this.parts.map((part) => ({
+          PartNumber: part.partNumber,
+          ETag: part.etag,
+        })),
+      },
+    });
+
+    let response;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        response = await this.s3Client.send(request, {
+          abortSignal: this.abortController.signal,
+        });
+        break;
+      } catch (error) {
+        if (this.failure) throw this.failure;
+        const failure = this.wrapError(error);
+        if (!this.retryPolicy.shouldRetry(failure, attempt, 0)) throw failure;
+        const delay = this.retryPolicy.getDelay(attempt);
+        this.logger.error(
+          `Error completing upload (${failure.reason}): ${error.message}. Retrying in ${delay}ms`
+        );
+        await FormatUtils.sleep(delay, this.abortController.signal);
+      }
+    }
+
+    // 多段 ETag = MD5(各分片 MD5 拼接)-分片数
+    const partMD5s = this.parts.map((part) =>
+      FileIntegrityChecker.parseETag(part.etag)
+    );
+    const parsed = FileIntegrityChecker.parseETag(response.ETag);
+    if (
+      this.etagIsMD5 &&
+      S3MultiThreadUploader.etagIsMD5(response) &&
+      parsed &&
+      parsed.parts > 0 &&
+      partMD5s.every(Boolean)
+    ) {
+      const expected = crypto
+        .createHash("md5")
+        .update(Buffer.concat(partMD5s.map((p) => Buffer.from(p.md5, "hex"))))
+        .digest("hex");
+      if (parsed.md5 !== expected || parsed.parts !== this.parts.length) {
+        throw new Error(
+          `Multipart ETag mismatch: expected ${expected}-${this.parts.length}, got ${response.ETag}`
+        );
+      }
+      this.logger.info(`🔐 ETag (multipart): ${parsed.md5}-${parsed.parts}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * 中止未完成的分片上传并删除清单（已上传的分片会被服务端删除）
+   * @param uploadId 要中止的上传（默认使用当前上传或清单中记录的上传）
+   */
+  async abortUpload(uploadId = null) {
+    const manifest = this.filePath
+      ? UploadManifest.load(this.getManifestPath())
+      : null;
+    const id = uploadId || this.uploadId || manifest?.uploadId;
+    if (!id) {
+      throw new Error(
+        `No upload manifest for ${this.objectKey}, pass the ID of the upload to abort`
+      );
+    }
+
+    await this.s3Client.send(
+      new AbortMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: this.objectKey,
+        UploadId: id,
+      })
+    );
+    if (manifest?.uploadId === id) manifest.remove();
+    this.logger.info(`🗑️  Aborted multipart upload ${id}`);
+  }
+
+  /**
+   * 🌟 启动上传的便捷方法（如果是在 config 中传了 filePath）
+   */
+  async start(options = {}) {
+    if (!this.filePath) {
+      throw new Error(
+        "File path is required. Set it in config or use upload(filePath) method."
+      );
+    }
+    return await this.upload(null, null, options);
+  }
+
+  /**
+   * 🌟 上传本地文件
+   * @param filePath 本地文件路径（默认使用配置中的 filePath）
+   * @param objectKey 目标对象键（默认使用配置中的 objectKey，否则为文件名）
+   * @param options.signal AbortSignal，中止时取消所有请求并以 DownloadError 拒绝，已上传的分片保留
+   * @param options.uploadId 续传指定的未完成上传（见 listUploads()），不存在时报错
+   * @param options.resumeLatest 没有清单时沿用该对象键最近发起的未完成上传 (默认: false)
+   */
+  async upload(
+    filePath = null,
+    objectKey = null,
+    { signal, uploadId, resumeLatest = false } = {}
+  ) {
+    if (filePath !== null) {
+      this.filePath = filePath;
+    }
+    if (!this.filePath) {
+      throw new Error("File path is required either in config or as parameter");
+    }
+    this.filePath = path.resolve(this.filePath);
+    this.setObjectKey(
+      objectKey ?? (this.objectKey || path.basename(this.filePath))
+    );
+
+    if (signal?.aborted) {
+      throw DownloadError.cancelled(signal.reason, "Upload cancelled");
+    }
+
+    this.failure = null;
+    this.etagIsMD5 = true;
+    this.abortController = new AbortController();
+    const onAbort = () =>
+      this.abortAll(DownloadError.cancelled(signal.reason, "Upload cancelled"));
+    signal?.addEventListener("abort", onAbort, { once: true });
+    this.renderer.attach(this);
+    this.logger.setConsole(this.renderer.wrapConsole(Logger.CONSOLE));
+
+    try {
+      const stats = fs.statSync(this.filePath);
+      this.fileSize = stats.size;
+      const partSize = this.getEffectivePartSize();
+      this.parts = this.createPartLayout(partSize);
+
+      this.logger.info(`📁 File: ${this.filePath}`);
+      this.logger.info(
+        `📊 Size: ${FormatUtils.formatFileSize(
+          this.fileSize
+        )} (${this.fileSize.toLocaleString()} bytes)`
+      );
+      this.logger.info(`🎯 Target: s3://${this.bucketName}/${this.objectKey}`);
+
+      // 空文件无法分片上传
+      if (this.fileSize === 0) {
+        const response = await this.s3Client.send(
+          new PutObjectCommand({
+            Bucket: this.bucketName,
+            Key: this.objectKey,
+            Body: "",
+            ContentType: this.contentType,
+          }),
+          { abortSignal: this.abortController.signal }
+        );
+        const result = {
+          success: true,
+          bucketName: this.bucketName,
+          objectKey: this.objectKey,
+          filePath: this.filePath,
+          fileSize: 0,
+          etag: response.ETag,
+          parts: 0,
+          totalTime: 0,
+          avgSpeed: 0,
+          totalRetries: 0,
+        };
+        this.emit("complete", result);
+        return result;
+      }
+
+      const resumedParts = await this.prepareUpload(stats, partSize, {
+        uploadId,
+        resumeLatest,
+      });
+      this.progressTracker = new ProgressTracker(
+        this.parts.length,
+        this.fileSize,
+        this.logger,
+        this.concurrency
+      );
+
+      let resumedBytes = 0;
+      for (const part of this.parts) {
+        const size = part.end - part.start + 1;
+        this.progressTracker.setPartExpectedSize(part.index, size);
+        if (part.etag) {
+          this.progressTracker.updatePartProgress(part.index, size);
+          this.progressTracker.updatePartStatus(
+            part.index,
+            "completed (already uploaded)"
+          );
+          resumedBytes += size;
+        }
+      }
+
+      this.logger.info(`🧵 Concurrency: ${this.concurrency} threads`);
+      this.logger.info(
+        `🧩 Parts: ${this.parts.length} (part size ${FormatUtils.formatFileSize(
+          partSize,
+          { showBoth: false }
+        )})`
+      );
+      if (this.credentials) {
+        this.logger.info(`🔑 Credentials: ${this.credentials.source}`);
+      }
+      this.logger.info(`🔄 Retry: ${this.retryPolicy.describe()}`);
+      if (this.bandwidth.enabled) {
+        this.logger.info(`🚦 Bandwidth: ${this.bandwidth.describe()}`);
+      }
+
+      this.emit("start", {
+        bucketName: this.bucketName,
+        objectKey: this.objectKey,
+        filePath: this.filePath,
+        fileSize: this.fileSize,
+        uploadId: this.uploadId,
+        parts: this.parts.length,
+        concurrency: this.concurrency,
+        resumedParts,
+        resumedBytes,
+      });
+
+      this.pending = this.parts.filter((part) => !part.etag);
+      const uploadPromises = [];
+      const workerCount = Math.min(this.concurrency, this.pending.length);
+      for (let workerId = 0; workerId < workerCount; workerId++) {
+        const worker = this.runWorker(workerId);
+        // 错开启动期间先启动的线程可能已经失败，错误由下面的 allSettled 统一处理
+        worker.catch(() => {});
+        uploadPromises.push(worker);
+        if (workerId < workerCount - 1) {
+          await FormatUtils.sleep(100);
+        }
+      }
+
+      this.logger.info("🚀 All uploads started...\n");
+      this.renderer.start();
+
+      // 等待所有线程结束
+      const results = await Promise.allSettled(uploadPromises);
+      this.renderer.stop();
+      const rejected = results.find((result) => result.status === "rejected");
+      if (this.failure || rejected) {
+        throw this.failure || rejected.reason;
+      }
+
+      this.logger.info("✅ All parts uploaded, completing upload...");
+      const response = await this.completeUpload();
+      this.manifest.remove();
+
+      const totalTime = this.progressTracker.getTotalTime();
+      const totalRetries = this.progressTracker.getTotalRetries();
+      const avgSpeed = this.progressTracker.getAverageSpeed();
+
+      this.logger.info(`\n🎉 Upload Complete!`);
+      this.logger.info(`🎯 Object: s3://${this.bucketName}/${this.objectKey}`);
+      this.logger.info(`📊 Size: ${FormatUtils.formatFileSize(this.fileSize)}`);
+      this.logger.info(
+        `⏱️  Total time: ${FormatUtils.formatDuration(totalTime, false)}`
+      );
+      this.logger.info(`🔄 Total retries: ${totalRetries}`);
+      this.logger.info(
+        `🚀 Average speed: ${FormatUtils.formatSpeed(avgSpeed)}`
+      );
+      if (this.logger.logFilePath) {
+        this.logger.info(`📋 Log: ${this.logger.logFilePath}`);
+      }
+
+      const result = {
+        success: true,
+        bucketName: this.bucketName,
+        objectKey: this.objectKey,
+        filePath: this.filePath,
+        fileSize: this.fileSize,
+        etag: response.ETag,
+        location: response.Location,
+        uploadId: this.uploadId,
+        parts: this.parts.length,
+        totalTime,
+        avgSpeed,
+        totalRetries,
+      };
+      this.emit("complete", result);
+      return result;
+    } catch (err) {
+      this.logger.error(`❌ Upload failed: ${err.message}`);
+      if (this.uploadId && this.manifest) {
+        const uploaded = this.parts.filter((part) => part.etag).length;
+        this.logger.info(
+          `💾 Upload ${this.uploadId} kept with ${uploaded}/${this.parts.length} parts; run again to resume`
+        );
+      }
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", err);
+      }
+      throw err;
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      this.renderer.detach();
+      this.logger.setConsole(null);
+      this.logger.close();
+    }
+  }
+
+  /**
+   * 进度快照（与下载器字段一致，供渲染器和事件使用）
+   */
+  getProgressSnapshot() {
+    const uploaded = this.progressTracker.getTotalDownloaded();
+    const speedStats = this.progressTracker.getSpeedStats();
+    return {
+      totalUploaded: uploaded,
+      totalSize: this.fileSize,
+      progress: this.fileSize > 0 ? (uploaded / this.fileSize) * 100 : 0,
+      speeds: {
+        overall: speedStats.overall,
+        active: speedStats.active,
+        current: speedStats.current,
+        global: speedStats.global,
+        activeCount: speedStats.activeCount,
+      },
+      eta: speedStats.eta,
+      retries: this.progressTracker.getTotalRetries(),
+      maxRetries: this.progressTracker.getMaxRetries(),
+    };
+  }
+
+  /**
+   * 获取上传状态信息
+   */
+  getStatus() {
+    if (!this.progressTracker) {
+      return null;
+    }
+
+    return {
+      uploadId: this.uploadId,
+      totalSize: this.fileSize,
+      uploaded: this.progressTracker.getTotalDownloaded(),
+      progress:
+        this.fileSize > 0
+          ? (
+              (this.progressTracker.getTotalDownloaded() / this.fileSize) *
+              100
+            ).toFixed(2)
+          : 0,
+      speed: this.progressTracker.getAverageSpeed(),
+      totalTime: this.progressTracker.getTotalTime(),
+      retries: this.progressTracker.getTotalRetries(),
+      partStatus: this.parts.map((part) => ({
+        index: part.index,
+        partNumber: part.partNumber,
+        status: this.progressTracker.partStatus[part.index],
+        uploaded: this.progressTracker.downloadedPerPart[part.index],
+        expected: this.progressTracker.partExpectedSizes[part.index],
+        etag: part.etag,
+        retries: this.progressTracker.partRetryCount[part.index],
+      })),
+      workers: this.progressTracker.getWorkerStats(),
+    };
+  }
+
+  /**
+   * 设置中断处理器
+   */
+  setupInterruptHandler(exitCode = 0) {
+    process.on("SIGINT", () => {
+      this.renderer.stop();
+      console.log("\n\n⚠️  Upload interrupted by user");
+      this.logger.info("Upload interrupted by user - uploaded parts preserved");
+      if (this.uploadId) {
+        console.log(
+          `🔄 Run the same command again to resume upload ${this.uploadId}.`
+        );
+      }
+      this.logger.close();
+      process.exit(exitCode);
+    });
+  }
+}